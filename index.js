@@ -1 +1,5 @@
-module.exports = require('./lib/Pool');
\ No newline at end of file
+module.exports             = require('./lib/Pool');
+module.exports.PoolCluster = require('./lib/PoolCluster');
+module.exports.KeyedPool   = require('./lib/KeyedPool');
+module.exports.testing     = require('./lib/testing');
+module.exports.admin       = require('./lib/admin');
\ No newline at end of file
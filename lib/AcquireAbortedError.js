@@ -0,0 +1,16 @@
+var PoolError = require('./PoolError');
+
+module.exports = AcquireAbortedError;
+
+/**
+ * Error given to an acquire that was aborted through its signal before it got a client
+ * @param {string} msg    the error message
+ * @param {[type]} constr 
+ */
+function AcquireAbortedError(msg, constr) {
+	PoolError.call(this, msg, constr || AcquireAbortedError);
+}
+
+// Inherit from PoolError
+require('util').inherits(AcquireAbortedError, PoolError);
+AcquireAbortedError.prototype.name = 'AcquireAbortedError';
@@ -0,0 +1,16 @@
+var PoolError = require('./PoolError');
+
+module.exports = AcquireTimeoutError;
+
+/**
+ * Error given to an acquire that waited longer than its timeout for a client
+ * @param {string} msg    the error message
+ * @param {[type]} constr 
+ */
+function AcquireTimeoutError(msg, constr) {
+	PoolError.call(this, msg, constr || AcquireTimeoutError);
+}
+
+// Inherit from PoolError
+require('util').inherits(AcquireTimeoutError, PoolError);
+AcquireTimeoutError.prototype.name = 'AcquireTimeoutError';
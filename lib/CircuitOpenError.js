@@ -0,0 +1,16 @@
+var PoolError = require('./PoolError');
+
+module.exports = CircuitOpenError;
+
+/**
+ * Error given to an acquire that needs a new client while the circuit breaker is open
+ * @param {string} msg    the error message
+ * @param {[type]} constr 
+ */
+function CircuitOpenError(msg, constr) {
+	PoolError.call(this, msg, constr || CircuitOpenError);
+}
+
+// Inherit from PoolError
+require('util').inherits(CircuitOpenError, PoolError);
+CircuitOpenError.prototype.name = 'CircuitOpenError';
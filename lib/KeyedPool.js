@@ -0,0 +1,442 @@
+var Pool                = require('./Pool');
+var PoolError           = require('./PoolError');
+var AcquireTimeoutError = require('./AcquireTimeoutError');
+var AcquireAbortedError = require('./AcquireAbortedError');
+var QueueFullError      = require('./QueueFullError');
+var utils               = require('./utils');
+var async               = require('async');
+
+module.exports = KeyedPool;
+
+/**
+ * Creates a keyed pool, a sub-pool per key created the first time the key is acquired
+ * @param  {object} options the Pool options for each sub-pool ('max' is per key), with 'create'
+ *                          called as create(key, callback), plus 'maxTotal' clients across every
+ *                          key and 'keyIdleTimeout' ms before an empty sub-pool is removed. 'min'
+ *                          can't be used with 'maxTotal', sub-pools keep it up on their own
+ * @return {object}         the keyed pool
+ */
+function KeyedPool(options) {
+  if (! options.create )
+    throw new PoolError("Must specify 'create' function in options");
+
+  if (! options.destroy )
+    throw new PoolError("Must specify 'destroy' function in options");
+
+  if (options.min && options.maxTotal)
+    throw new PoolError("Can't specify 'min' with 'maxTotal' in options");
+
+  var keyed = {
+
+    // Sub-pools by key, the callbacks waiting for a sub-pool to be created and
+    // the acquires waiting for room under maxTotal, oldest first across every key
+    _pools    : {},
+    _creating : {},
+    _timers   : {},
+    _waiting  : [],
+
+    // Set the options
+    _options        : options,
+    _create         : options.create,
+    _maxTotal       : options.maxTotal || null,
+    _keyIdleTimeout : options.keyIdleTimeout || 30000,
+    _acquireTimeout : options.acquireTimeout || null,
+    _maxWaiting     : options.maxWaitingClients || null,
+    _clock          : options.clock || utils.clock,
+
+    // General
+    _draining : false,
+    _serving  : false,
+
+    /**
+     * Acquires a client for a key
+     * @param  {string}   key      the key, such as a tenant id
+     * @param  {object}   options  optional, 'timeout' overrides acquireTimeout, 'signal' is an
+     *                             AbortSignal that gives up on the acquire and 'priority' puts it
+     *                             ahead of waiting acquires with a lower one
+     * @param  {Function} callback called with the client, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    acquire : function(key, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options  = null;
+      }
+
+      options = options || {};
+
+      if (! callback )
+        return utils.promisify(this.acquire, this, [key, options]);
+
+      if (this._draining)
+        return callback(new PoolError('Acquiring Client Error: Pool is draining, no clients can be acquired'));
+
+      var self = this;
+
+      self._getPool(key, function(error, pool) {
+        if (error)
+          return callback(error);
+
+        var request = {
+          key      : key,
+          options  : options,
+          callback : callback,
+          priority : options.priority || 0,
+          timer    : null,
+          onAbort  : null
+        };
+
+        // Only acquires that need a new client wait, for room under maxTotal or under the key's max
+        if ( (self._waiting.length > 0) || ! self._canAcquire(pool) ) {
+          self._addToWaiting(request);
+
+          // The acquires ahead of it may only be waiting on the max of their own key
+          return self._serveWaiting();
+        }
+
+        pool.acquire(options, callback);
+      });
+    },
+
+    /**
+     * Returns the number of active clients across every key
+     * @return {integer} active number
+     */
+    activeCount : function() {
+      return this._sum('activeCount');
+    },
+
+    /**
+     * Add an acquire request to the waiting array, in priority order
+     * @param {object} request the acquire request
+     */
+    _addToWaiting : function(request) {
+      var self    = this;
+      var timeout = (request.options.timeout !== undefined) ? request.options.timeout : self._acquireTimeout;
+
+      if ( self._maxWaiting && (self._waiting.length >= self._maxWaiting) )
+        return request.callback(new QueueFullError('Acquiring Client Error: The waiting queue is full (' + self._maxWaiting + ')'));
+
+      if (timeout) {
+        request.timer = self._clock.setTimeout(function() {
+          self._waiting.splice(self._waiting.indexOf(request), 1);
+          self._unwatch(request);
+          request.callback(new AcquireTimeoutError('Acquiring Client Error: Timed out after ' + timeout + 'ms waiting for a client'));
+        }, timeout);
+      }
+
+      if (request.options.signal) {
+        request.onAbort = function() {
+          self._waiting.splice(self._waiting.indexOf(request), 1);
+          self._unwatch(request);
+          request.callback(new AcquireAbortedError('Acquiring Client Error: Acquire was aborted'));
+        };
+
+        request.options.signal.addEventListener('abort', request.onAbort);
+      }
+
+      utils.enqueue(self._waiting, request);
+    },
+
+    /**
+     * Checks whether a sub-pool has no idle client and no room left under its own max
+     * @param  {Pool}    pool the sub-pool
+     * @return {boolean}
+     */
+    _atKeyMax : function(pool) {
+      return !!pool._max && (pool.totalCount() >= pool._max) && (pool.availableCount() < 1);
+    },
+
+    /**
+     * Returns the number of available clients across every key
+     * @return {integer} available number
+     */
+    availableCount : function() {
+      return this._sum('availableCount');
+    },
+
+    /**
+     * Checks whether a sub-pool can hand out a client now without going over maxTotal, evicting an
+     * idle client of another key to make room if it has to
+     * @param  {Pool}    pool the sub-pool
+     * @return {boolean}      TRUE if the acquire can go ahead
+     */
+    _canAcquire : function(pool) {
+      // Reusing an idle client doesn't need room
+      if ( ! this._maxTotal || (pool.availableCount() > 0) )
+        return true;
+
+      // Acquires waiting on the key's own max wait here rather than in the sub-pool, which would
+      // create the client that replaces a destroyed one without checking maxTotal
+      if (this._atKeyMax(pool))
+        return false;
+
+      if (this.totalCount() < this._maxTotal)
+        return true;
+
+      var self   = this;
+      var victim = null;
+
+      Object.keys(self._pools).some(function(key) {
+        var other = self._pools[key];
+
+        victim = other._available.filter(function(resource) {
+          return resource.state === 'idle';
+        })[0];
+
+        if (victim)
+          other._destroyIdle(victim, function() {});
+
+        return !!victim;
+      });
+
+      return !!victim;
+    },
+
+    /**
+     * Drains every sub-pool and fails the waiting acquires
+     * @param  {object}   options  optional, passed to each sub-pool's drain()
+     * @param  {Function} callback called once drained, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    drain : function(options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options  = null;
+      }
+
+      if (! callback )
+        return utils.promisify(this.drain, this, [options]);
+
+      var self    = this;
+      var waiting = self._waiting;
+
+      self._draining = true;
+      self._waiting  = [];
+
+      waiting.forEach(function(request) {
+        self._unwatch(request);
+        request.callback(new PoolError('Acquiring Client Error: Pool was drained'));
+      });
+
+      async.each(Object.keys(self._pools), function(key, cb) {
+        self._removePool(key, options, cb);
+      }, function() {
+        self._draining = false;
+        callback();
+      });
+    },
+
+    /**
+     * Returns the sub-pool of a key, creating it the first time
+     * @param  {string}   key      the key
+     * @param  {Function} callback called with the sub-pool
+     */
+    _getPool : function(key, callback) {
+      var self = this;
+
+      if (self._pools[key]) {
+        self._clock.clearTimeout(self._timers[key]);
+        delete self._timers[key];
+        return callback(null, self._pools[key]);
+      }
+
+      if (self._creating[key])
+        return self._creating[key].push(callback);
+
+      self._creating[key] = [callback];
+
+      var options = Object.assign({}, self._options, {
+        name   : (self._options.name || 'KeyedPool') + ':' + key,
+        create : function(cb) {
+          self._create(key, cb);
+        }
+      });
+
+      Pool(options, function(error, pool) {
+        var callbacks = self._creating[key];
+        delete self._creating[key];
+
+        if (! error ) {
+          self._pools[key] = pool;
+
+          // Room under maxTotal opens up whenever a client is destroyed
+          pool.on('destroy', function() {
+            self._serveWaiting();
+            self._scheduleRemoval(key);
+          });
+        }
+
+        callbacks.forEach(function(cb) {
+          cb(error, pool);
+        });
+      });
+    },
+
+    /**
+     * Returns the keys that have a sub-pool
+     * @return {Array}
+     */
+    keys : function() {
+      return Object.keys(this._pools);
+    },
+
+    /**
+     * Returns the sub-pool of a key
+     * @param  {string} key the key
+     * @return {Pool}       NULL if the key has no sub-pool
+     */
+    pool : function(key) {
+      return this._pools[key] || null;
+    },
+
+    /**
+     * Releases a client back to the sub-pool of its key
+     * @param  {string}   key      the key the client was acquired for
+     * @param  {object}   client   the client
+     * @param  {Error}    error    optional, the client is destroyed if given
+     * @param  {Function} callback called with TRUE once released, or FALSE if the client wasn't
+     *                             active in the sub-pool of the key, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    release : function(key, client, error, callback) {
+      if (typeof error === 'function') {
+        callback = error;
+        error    = null;
+      }
+
+      if (! callback )
+        return utils.promisify(this.release, this, [key, client, error]);
+
+      var self = this;
+      var pool = self._pools[key];
+
+      if (! pool )
+        return callback(null, false);
+
+      pool.release(client, error, function(error, released) {
+        self._serveWaiting();
+        callback(error, released);
+      });
+    },
+
+    /**
+     * Drains and forgets the sub-pool of a key, closing it for good
+     * @param  {string}   key      the key
+     * @param  {object}   options  passed to the sub-pool's drain()
+     * @param  {Function} callback called once drained
+     */
+    _removePool : function(key, options, callback) {
+      var pool = this._pools[key];
+
+      this._clock.clearTimeout(this._timers[key]);
+      delete this._timers[key];
+      delete this._pools[key];
+
+      // A forcible drain leaves it open, the graceful drain after it closes the empty pool
+      pool.drain(options, function() {
+        pool.drain({ graceful: true }, callback);
+      });
+    },
+
+    /**
+     * Removes the sub-pool of a key once it has been empty for 'keyIdleTimeout' ms
+     * @param  {string} key the key
+     */
+    _scheduleRemoval : function(key) {
+      var self = this;
+      var pool = self._pools[key];
+
+      if ( !pool || self._timers[key] || (pool.totalCount() > 0) || (pool.waitingCount() > 0) )
+        return;
+
+      self._timers[key] = utils.unref(self._clock.setTimeout(function() {
+        delete self._timers[key];
+
+        if ( (self._pools[key] === pool) && (pool.totalCount() === 0) && (pool.waitingCount() === 0) )
+          self._removePool(key, null, function() {});
+      }, self._keyIdleTimeout));
+    },
+
+    /**
+     * Hands out clients to the waiting acquires in the order they came in, as long as there is room.
+     * Acquires waiting on the max of their own key don't hold up the other keys
+     */
+    _serveWaiting : function() {
+      // Evicting a client to make room emits 'destroy', which would serve the same request twice
+      if (this._serving)
+        return;
+
+      this._serving = true;
+
+      var index = 0;
+
+      while (index < this._waiting.length) {
+        var request = this._waiting[index];
+        var pool    = this._pools[request.key];
+
+        if (pool && this._atKeyMax(pool)) {
+          index++;
+          continue;
+        }
+
+        if (pool && ! this._canAcquire(pool) )
+          break;
+
+        // Once served, the sub-pool watches the signal
+        this._waiting.splice(index, 1);
+        this._unwatch(request);
+
+        // Its sub-pool was removed while it waited
+        if (! pool )
+          this.acquire(request.key, request.options, request.callback);
+        else
+          pool.acquire(request.options, request.callback);
+      }
+
+      this._serving = false;
+    },
+
+    /**
+     * Sums a count across every sub-pool
+     * @param  {string}  method the count method name
+     * @return {integer}
+     */
+    _sum : function(method) {
+      var pools = this._pools;
+
+      return Object.keys(pools).reduce(function(sum, key) {
+        return sum + pools[key][method]();
+      }, 0);
+    },
+
+    /**
+     * Returns the number of clients across every key
+     * @return {integer} total number
+     */
+    totalCount : function() {
+      return this._sum('totalCount');
+    },
+
+    /**
+     * Stops the timeout and the abort listener of a request leaving the waiting queue
+     * @param  {object} request the acquire request
+     */
+    _unwatch : function(request) {
+      this._clock.clearTimeout(request.timer);
+
+      if (request.onAbort)
+        request.options.signal.removeEventListener('abort', request.onAbort);
+    },
+
+    /**
+     * Returns the number of waiting acquires across every key
+     * @return {integer} waiting number
+     */
+    waitingCount : function() {
+      return this._waiting.length + this._sum('waitingCount');
+    }
+  };
+
+  return keyed;
+}
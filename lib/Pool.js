@@ -1,84 +1,287 @@
-var PoolError = require('./PoolError')
-var async     = require('async');
+var PoolError           = require('./PoolError')
+var AcquireTimeoutError = require('./AcquireTimeoutError');
+var AcquireAbortedError = require('./AcquireAbortedError');
+var QueueFullError      = require('./QueueFullError');
+var CircuitOpenError    = require('./CircuitOpenError');
+var utils               = require('./utils');
+var metrics             = require('./metrics');
+var strategies          = require('./strategies');
+var async               = require('async');
+var EventEmitter        = require('events').EventEmitter;
 
 var MAX_POOL_ID   = 1000000;
 var MAX_CLIENT_ID = 1000000;
 
+// Resource states
+var CREATING   = 'creating';
+var IDLE       = 'idle';
+var ACTIVE     = 'active';
+var VALIDATING = 'validating';
+var DESTROYING = 'destroying';
+
+// Circuit breaker states
+var CLOSED    = 'closed';
+var OPEN      = 'open';
+var HALF_OPEN = 'half-open';
+
+var LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Live pools, from the time they are initialized or acquired from until a drain empties them
+var registry = new Set();
+
+// The logger used when 'log' is set without a 'logger', every level goes to the console
+var consoleLogger = {};
+
+LOG_LEVELS.forEach(function(level) {
+  consoleLogger[level] = function(record, msg) {
+    console.log('*** Pool (' + record.poolId + ') ****:', msg, "- Total Count:", record.total, "- Available Count:", record.available, "- Active Count:", record.active, "- Waiting Count:", record.waiting);
+  };
+});
+
 module.exports = Pool;
 
+/**
+ * Creates and initializes a pool
+ * @param  {object}   options  the pool options
+ * @param  {Function} callback called with the initialized pool, if omitted a Promise is returned
+ * @return {Promise}
+ */
 function Pool(options, callback) {
+  if (! callback )
+    return utils.promisify(Pool, null, [options]);
+
   if (! options.create ) 
     return callback(new PoolError("Must specify 'create' function in options"));
 
   if (! options.destroy ) 
     return callback(new PoolError("Must specify 'destroy' function in options"));
 
+  // A custom strategy is a selector function, see lib/strategies.js
+  var strategy = options.strategy || 'fifo';
+
+  if (typeof strategy !== 'function') {
+    if (! strategies.hasOwnProperty(strategy) )
+      return callback(new PoolError("Unknown strategy '" + strategy + "' in options"));
+
+    strategy = strategies[strategy]();
+  }
+
+  // Any logger with debug, info, warn and error methods will do, such as pino or bunyan
+  var logger = options.logger || (options.log ? consoleLogger : null);
+
+  if (logger) {
+    var missing = LOG_LEVELS.filter(function(level) {
+      return typeof logger[level] !== 'function';
+    });
+
+    if (missing.length > 0)
+      return callback(new PoolError("The 'logger' in options has no " + missing.join(', ') + " method"));
+  }
+
   // Ensure 'this' is always correct
   var instance = {
 
-    // Queues
-    _available : [],
-    _active    : [],
-    _waiting   : [],
+    // Queues, _pending, _available, _active, _validating and _destroying hold resource records
+    _pending     : [],
+    _available   : [],
+    _active      : [],
+    _validating  : [],
+    _destroying  : [],
+    _waiting     : [],
+    _createQueue : [],
+    _resources   : new Map(),
     
     // Set the options
-    _name         : options.name,
-    _idleTimeout  : options.idleTimeout || 3000,
-    _max          : options.max || null,
-    _min          : options.min || 0,
-    _log          : options.log || false,
-    _create       : options.create,
-    _destroy      : options.destroy,
-    _reapInterval : options.reapInterval || 1000,
+    _name                 : options.name,
+    _idleTimeout          : options.idleTimeout || 3000,
+    _max                  : options.max || null,
+    _min                  : options.min || 0,
+    _logger               : logger,
+    _create               : options.create,
+    _destroy              : options.destroy,
+    _reapInterval         : options.reapInterval || 1000,
+    _acquireTimeout       : options.acquireTimeout || null,
+    _validate             : options.validate || null,
+    _testOnBorrow         : options.testOnBorrow || false,
+    _testOnReturn         : options.testOnReturn || false,
+    _testWhileIdle        : options.testWhileIdle || false,
+    _createRetries        : options.createRetries || 0,
+    _createBackoff        : options.createBackoff || 100,
+    _createBackoffMax     : options.createBackoffMax || 10000,
+    _createJitter         : options.createJitter || 0,
+    _leakThreshold        : options.leakDetectionThreshold || null,
+    _abandonedTimeout     : options.abandonedTimeout || null,
+    _captureStack         : options.captureStackTrace || false,
+    _leakCheckInterval    : options.leakCheckInterval || 1000,
+    _maxLifetime          : options.maxLifetime || null,
+    _maxUses              : options.maxUses || null,
+    _strategy             : strategy,
+    _maxConcurrentCreates : options.maxConcurrentCreates || null,
+    _circuitThreshold     : options.circuitBreakerThreshold || null,
+    _circuitTimeout       : options.circuitBreakerTimeout || 10000,
+    _maxWaiting           : options.maxWaitingClients || null,
+    _clock                : options.clock || utils.clock,
+    _afterCreate          : options.afterCreate || null,
+    _beforeAcquire        : options.beforeAcquire || null,
+    _afterRelease         : options.afterRelease || null,
+    _beforeDestroy        : options.beforeDestroy || null,
+    _softIdleTimeout      : options.softIdleTimeout || null,
+    _numTestsPerRun       : options.numTestsPerEvictionRun || null,
+    _keepAlive            : options.keepAlive || null,
+    _keepAliveInterval    : options.keepAliveInterval || 30000,
     
     // General
-    _id            : (Pool.id < MAX_POOL_ID) ? Pool.id++ : 1,
-    _clientId      : 1,
-    _draining      : false,
-    _removingIdle  : false,
-    _idleIntHandle : null,
+    _id                : (Pool.id < MAX_POOL_ID) ? Pool.id++ : 1,
+    _clientId          : 1,
+    _draining          : false,
+    _closed            : false,
+    _drainCallback     : null,
+    _drainTimer        : null,
+    _drainTimedOut     : false,
+    _removingIdle      : false,
+    _idleIntHandle     : null,
+    _leakIntHandle     : null,
+    _creating          : 0,
+    _circuitState      : CLOSED,
+    _circuitFailures   : 0,
+    _circuitOpenedAt   : null,
+    _circuitProbing    : false,
+    _replenishFailures : 0,
+    _replenishTimer    : null,
+    _stats             : null,
 
     /**
-     * Acquires a client from the pool, if one is not availabe it creates a new one
-     * @return {client} 
+     * Finds or creates a client for an acquire request, or queues the request if at max
+     * @param  {object} request the acquire request, with its callback, timeout and start time
      */
-    acquire : function(callback) {
+    _acquire : function(request) {
       var self = this;
 
-      // If draining, stop acquire
-      if (self._draining)
-        return callback(new PoolError('Acquiring Client Error: Pool is draining, no clients can be acquired'));
-
-      self._debug('Acquiring client');
+      self._log('debug', 'acquire', 'Acquiring client');
 
       // If there are any available clients, use them
-      if (self._available.length > 0) {
-        var client = self._available.shift();
-
-        return self._checkTimeout(client, function(timedOut) {
-          if (timedOut) {
-            self._debug('Client ' + client.id + ' has timed out, removing from pool');
-            self.removeFromPool(client);
-            return self.acquire(callback);
+      var resource = self._takeAvailable();
+
+      if (resource) {
+        // It is no longer counted, so the pool stays at min or above without it
+        if (self._idleExpiry(resource, self.totalCount() >= self._min)) {
+          self._log('warn', 'idleEvict', 'Client ' + resource.id + ' has timed out, removing from pool', { clientId: resource.id });
+          self._emitIdleEvict(resource);
+          self._destroyClient(resource, function() {});
+          return self._acquire(request);
+        }
+
+        if (self._isRetired(resource)) {
+          self._log('info', 'retire', 'Client ' + resource.id + ' has reached its max lifetime, removing from pool', { clientId: resource.id });
+          self._destroyClient(resource, function() {});
+          return self._acquire(request);
+        }
+
+        if (! self._testOnBorrow ) {
+          self._log('debug', 'acquire', 'Reusing Client (' + resource.id + ')', { clientId: resource.id });
+          return self._dispense(resource, request);
+        }
+
+        self._startValidating(resource);
+        return self._validateClient(resource.connection, function(valid) {
+          // A drain destroyed it in the meantime
+          if (! self._stopValidating(resource) )
+            return request.callback(new PoolError('Acquiring Client Error: Pool was drained'));
+
+          if (! valid ) {
+            self._log('warn', 'validate', 'Client ' + resource.id + ' failed validation on borrow, removing from pool', { clientId: resource.id });
+            self._destroyClient(resource, function() {});
+            return self._acquire(request);
           }
 
-          self._debug('Reusing Client (' + client.id + ')');
-          self._dispense(client.connection, callback);
+          self._log('debug', 'acquire', 'Reusing Client (' + resource.id + ')', { clientId: resource.id });
+          self._dispense(resource, request);
         });
       } 
 
       // Hit the max, push into the waiting queue
       if ( self._max && (self.totalCount() >= self._max) ) {
-        return self._addToWaiting(callback);
+        return self._addToWaiting(request);
       } 
 
+      // Waiting for a slot under maxConcurrentCreates is waiting all the same
+      if ( self._maxConcurrentCreates && (self._creating >= self._maxConcurrentCreates) )
+        self._startAcquireTimer(request);
+
       // If none are available, create a new client
-      self._createClient(function(error, client) {
-        self._debug('Using new client (' + client.id + ')');
-        self._dispense(client, callback);
+      self._createClient(function(error, resource) {
+        self._clock.clearTimeout(request.timer);
+        request.timer = null;
+
+        // The acquire timed out while it was created, keep the client for the next one
+        if (request.timedOut) {
+          if (! resource )
+            return;
+
+          if (self._draining || self._closed)
+            return self._destroyClient(resource, function() {});
+
+          return self._addToPool(resource, function() {
+            self._serveWaiting();
+          });
+        }
+
+        if (error)
+          return request.callback(error);
+
+        self._log('debug', 'acquire', 'Using new client (' + resource.id + ')', { clientId: resource.id });
+        self._dispense(resource, request);
       });
     },
 
+    /**
+     * Acquires a client from the pool, if one is not availabe it creates a new one
+     * @param  {object}   options  optional, 'timeout' overrides the pool's acquireTimeout,
+     *                             'signal' is an AbortSignal that gives up on the acquire and
+     *                             'priority' puts it ahead of waiting acquires with a lower one
+     * @param  {Function} callback called with the client, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    acquire : function(options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options  = null;
+      }
+
+      options = options || {};
+
+      if (! callback )
+        return utils.promisify(this.acquire, this, [options]);
+
+      if (this._closed)
+        return callback(new PoolError('Acquiring Client Error: Pool is closed, no clients can be acquired'));
+
+      // If draining, stop acquire
+      if (this._draining)
+        return callback(new PoolError('Acquiring Client Error: Pool is draining, no clients can be acquired'));
+
+      registry.add(this);
+
+      var request = {
+        callback : callback,
+        timeout  : (options.timeout !== undefined) ? options.timeout : this._acquireTimeout,
+        priority : options.priority || 0,
+        start    : this._clock.now(),
+        timer    : null,
+        timedOut : false,
+        stack    : this._captureStack ? new Error('Acquired at').stack : null
+      };
+
+      if (options.signal) {
+        if (options.signal.aborted)
+          return callback(new AcquireAbortedError('Acquiring Client Error: Acquire was aborted'));
+
+        this._watchSignal(request, options.signal);
+      }
+
+      this._acquire(request);
+    },
+
     /**
      * Returns the number of active clients in the pool
      * @return {integer} active number 
@@ -88,38 +291,47 @@ function Pool(options, callback) {
     },
 
     /**
-     * Add a connection to the active array
-     * @param {object} connection the database connection object
+     * Add a resource to the active array
+     * @param {object} resource the resource record
      */
-    _addToActive : function(connection) {
-      this._active.push(connection);
+    _addToActive : function(resource) {
+      resource.state = ACTIVE;
+      this._active.push(resource);
     },
 
     /**
-     * Adds a connection to the pool
-     * @param {object} connection a database connection object
+     * Adds a resource to the pool
+     * @param {object} resource the resource record
      */
-    _addToPool : function(connection, callback) {
-      removeIdles = (typeof removeIdles === 'undefined') ? true : removeIdles;
-      var client  = {
-        connection : connection,
-        timeout    : new Date().getTime() + this._idleTimeout,
-        id         : this._clientId++
-      };
+    _addToPool : function(resource, callback) {
+      resource.state          = IDLE;
+      resource.lastReturnedAt = this._clock.now();
 
-      this._debug('Client (' + client.id + ') to Pool');  
-      this._available.push(client);
+      this._log('debug', 'release', 'Client (' + resource.id + ') to Pool', { clientId: resource.id });
+      this._available.push(resource);
       this._startRemoveIdleInterval();
     
-      callback(null, client);
+      callback(null, resource);
     },
 
     /**
-     * Add a callback to the waiting array
+     * Add an acquire request to the waiting array, in priority order
+     * @param {object} request the acquire request, it fails after request.timeout ms if set
      */
-    _addToWaiting : function(callback) {
-      this._waiting.push(callback);
-      this._debug('Max clients, waiting');
+    _addToWaiting : function(request) {
+      var self = this;
+
+      // Fail fast rather than pile up callbacks when overloaded
+      if ( self._maxWaiting && (self._waiting.length >= self._maxWaiting) ) {
+        self._log('warn', 'queueFull', 'Waiting queue is full');
+        return request.callback(new QueueFullError('Acquiring Client Error: The waiting queue is full (' + self._maxWaiting + ')'));
+      }
+
+      self._startAcquireTimer(request);
+
+      utils.enqueue(this._waiting, request);
+      this._log('debug', 'waiting', 'Max clients, waiting');
+      this.emit('waiting', { waitingCount: this._waiting.length });
     },
 
     /**
@@ -131,163 +343,1079 @@ function Pool(options, callback) {
     },
 
     /**
-     * Checks if the client's timeout has past
-     * @param  {object} client the client object from the pool
-     * @return {boolean}        TRUE if timeout is past and we are above the min value, FALSE otherwise
+     * Closes the pool once a graceful drain has destroyed every client
      */
-    _checkTimeout : function(client, callback) {
-      var timeLeft = client.timeout - new Date().getTime();
-      this._debug('\tChecking client ' + client.id + ' for timeout (' + timeLeft + 'ms left)');
-      callback( (timeLeft < 1) && (this._available.length > this._min));
+    _checkDrained : function() {
+      if (! this._drainCallback || (this._active.length > 0) || (this._validating.length > 0) || (this._destroying.length > 0) )
+        return;
+
+      // Once the drain has timed out, creates that never finish don't hold it up
+      if ( (this._pending.length > 0) && ! this._drainTimedOut )
+        return;
+
+      var callback = this._drainCallback;
+
+      this._clock.clearTimeout(this._drainTimer);
+      this._drainCallback = null;
+      this._drainTimer    = null;
+      this._closed        = true;
+      registry.delete(this);
+
+      this._log('info', 'drain', 'Pool closed');
+      this.emit('drain');
+      callback();
     },
 
     /**
-     * Creates a client and puts it into the active array
-     * @return {client}   
+     * Warns about clients that have been active longer than 'leakDetectionThreshold' and
+     * reclaims those active longer than 'abandonedTimeout'
+     */
+    _checkLeaks : function() {
+      var self = this;
+      var now  = self._clock.now();
+
+      self._active.slice().forEach(function(resource) {
+        var info = { id: resource.id, borrowed: now - resource.lastBorrowedAt, stack: resource.borrowStack };
+
+        if (self._abandonedTimeout && (info.borrowed >= self._abandonedTimeout)) {
+          self._log('warn', 'reclaim', 'Client ' + resource.id + ' abandoned after ' + info.borrowed + 'ms, reclaiming', { clientId: resource.id, borrowed: info.borrowed });
+          self.emit('reclaim', info);
+          return self._destroyActive(resource, function() {});
+        }
+
+        if (self._leakThreshold && (info.borrowed >= self._leakThreshold) && ! resource.leaked ) {
+          resource.leaked = true;
+          self._log('warn', 'leak', 'Client ' + resource.id + ' may have leaked, active for ' + info.borrowed + 'ms', { clientId: resource.id, borrowed: info.borrowed });
+          self.emit('leak', info);
+        }
+      });
+    },
+
+    /**
+     * Checks whether the circuit breaker lets a create through. Once 'circuitBreakerTimeout' ms
+     * have passed since it opened, it lets a single probe create through (half-open)
+     * @return {boolean} TRUE if the create can go ahead
+     */
+    _circuitAllows : function() {
+      if (! this._circuitThreshold || (this._circuitState === CLOSED))
+        return true;
+
+      if ( (this._circuitState === OPEN) && (this._clock.now() - this._circuitOpenedAt >= this._circuitTimeout) )
+        this._setCircuitState(HALF_OPEN);
+
+      if ( (this._circuitState !== HALF_OPEN) || this._circuitProbing )
+        return false;
+
+      this._circuitProbing = true;
+      return true;
+    },
+
+    /**
+     * Records a failed create, opening the circuit breaker after 'circuitBreakerThreshold' in a row
+     * or if the half-open probe failed
+     */
+    _circuitFailure : function() {
+      if (! this._circuitThreshold )
+        return;
+
+      this._circuitFailures++;
+      this._circuitProbing = false;
+
+      if ( (this._circuitState === HALF_OPEN) || (this._circuitFailures >= this._circuitThreshold) ) {
+        this._circuitOpenedAt = this._clock.now();
+        this._setCircuitState(OPEN);
+      }
+    },
+
+    /**
+     * Returns the state of the circuit breaker
+     * @return {string} 'closed', 'open' or 'half-open'
+     */
+    circuitState : function() {
+      return this._circuitState;
+    },
+
+    /**
+     * Records a successful create, closing the circuit breaker
+     */
+    _circuitSuccess : function() {
+      this._circuitFailures = 0;
+      this._circuitProbing  = false;
+      this._setCircuitState(CLOSED);
+    },
+
+    /**
+     * Creates a client, retrying failed creates with exponential backoff if 'createRetries' is set.
+     * The client counts toward 'max' from the start, in the 'creating' state
+     * @param  {Function} callback called with the error of the last attempt or the new resource record
      */
     _createClient : function(callback) {
-      this._create(function(error, client) {
-        if (!client.hasOwnProperty('id'))
-          client.id = (Pool.client_id < MAX_CLIENT_ID) ? Pool.client_id++ : 1;
-        callback(error, client);
+      var self     = this;
+      var resource = self._createResource();
+      var attempt  = 0;
+
+      self._pending.push(resource);
+      self._queueCreate(function(done) {
+        (function create() {
+          var start = self._clock.now();
+
+          if (! self._circuitAllows() ) {
+            self._pending.splice(self._pending.indexOf(resource), 1);
+            done();
+            callback(new CircuitOpenError('Creating Client Error: Circuit breaker is ' + self._circuitState + ', not creating clients'));
+            return self._checkDrained();
+          }
+
+          function failed(error) {
+            self.emit('createError', { error: error, attempt: attempt + 1, duration: self._clock.now() - start });
+            self._circuitFailure();
+
+            if ( (attempt < self._createRetries) && ! self._closed ) {
+              var delay = utils.backoff(attempt++, self._createBackoff, self._createBackoffMax, self._createJitter);
+              self._log('warn', 'createError', 'Creating client failed (' + error.message + '), retrying in ' + delay + 'ms', { attempt: attempt, delay: delay });
+              return self._clock.setTimeout(create, delay);
+            }
+
+            self._pending.splice(self._pending.indexOf(resource), 1);
+            done();
+            callback(error);
+
+            // A graceful drain may have been waiting for it
+            self._checkDrained();
+          }
+
+          self._create(function(error, connection) {
+            if (!error && !connection)
+              error = new PoolError('Creating Client Error: create did not return a client');
+
+            if (error)
+              return failed(error);
+
+            self._runHook(self._afterCreate, connection, function(error) {
+              if (error) {
+                // It was never pooled, so it is thrown away without going through _destroyClient
+                self._destroy(connection, function(error) {
+                  if (error)
+                    self._emitError(error);
+                });
+
+                return failed(error);
+              }
+
+              created(connection);
+            });
+          });
+
+          function created(connection) {
+            self._circuitSuccess();
+            self._pending.splice(self._pending.indexOf(resource), 1);
+            resource.connection = connection;
+            resource.createdAt  = self._clock.now();
+            resource.state      = IDLE;
+
+            // A drain that timed out closed the pool without waiting for it
+            if (self._closed) {
+              done();
+              return self._destroyClient(resource, function() {
+                callback(new PoolError('Creating Client Error: Pool was closed while the client was created'));
+              });
+            }
+
+            // Clients are told apart by identity, so the same one can't be in the pool twice
+            if (self._resources.has(connection)) {
+              done();
+              callback(new PoolError('Creating Client Error: create returned a client that is already in the pool'));
+              return self._checkDrained();
+            }
+
+            self._resources.set(connection, resource);
+
+            self.emit('create', { id: resource.id, duration: self._clock.now() - start });
+            done();
+            callback(null, resource);
+          }
+        })();
+      });
+    },
+
+    /**
+     * Creates the record the pool keeps about a client, before the client itself is created
+     * @return {object} the resource record
+     */
+    _createResource : function() {
+      var resource = {
+        id             : this._clientId,
+        connection     : null,
+        state          : CREATING,
+        createdAt      : null,
+        lastBorrowedAt : null,
+        lastReturnedAt : null,
+        useCount       : 0,
+        borrowStack    : null,
+        leaked         : false,
+        lastCheckedAt  : null,
+        lastPingedAt   : null
+      };
+
+      this._clientId = (this._clientId < MAX_CLIENT_ID) ? this._clientId + 1 : 1;
+
+      return resource;
+    },
+
+    /**
+     * Destroys a client instead of returning it to the pool, for clients that are broken. It is
+     * never dispensed again, a waiting acquire gets a newly created client in its place
+     * @param  {object}   connection the client to destroy, active or available
+     * @param  {Function} callback   called with TRUE once destroyed, or FALSE if the client wasn't in
+     *                               the pool (such as after drain()), if omitted a Promise is returned
+     * @return {Promise}
+     */
+    destroy : function(connection, callback) {
+      if (! callback )
+        return utils.promisify(this.destroy, this, [connection]);
+
+      var self     = this;
+      var resource = this._resources.get(connection);
+
+      // A drain may already have destroyed it, which is no reason to fail
+      if (! resource ) {
+        this._log('warn', 'destroy', 'Ignoring destroy of a client that is not in this pool');
+        return callback(null, false);
+      }
+
+      var done = function() {
+        self._log('debug', 'destroy', 'Client ' + resource.id + ' Removed', { clientId: resource.id });
+        callback(null, true);
+      };
+
+      if (resource.state === ACTIVE)
+        return this._destroyActive(resource, done);
+
+      this._destroyIdle(resource, done);
+    },
+
+    /**
+     * Destroys an active client and lets a waiting acquire create a replacement
+     * @param  {object} resource the resource record of the active client
+     */
+    _destroyActive : function(resource, callback) {
+      var self = this;
+
+      self._removeFromActive(resource, function() {
+        self._destroyClient(resource, function() {
+          self._serveWaiting();
+          callback();
+        });
       });
     },
 
     /**
-     * Prints debugging info if 'log' is set in options
+     * Destroys an available client, taking it out of the available queue first so it can't be
+     * acquired while being destroyed
+     * @param  {object} resource the resource record of the idle client
+     */
+    _destroyIdle : function(resource, callback) {
+      var index = this._available.indexOf(resource);
+
+      if (index >= 0)
+        this._available.splice(index, 1);
+
+      this._destroyClient(resource, callback);
+    },
+
+    /**
+     * Destroys a client with the 'destroy' option, errors are emitted rather than passed on
+     * @param  {object} resource the resource record of the client to destroy
      */
-    _debug : function(msg) {
-      if ( this._log )
-        console.log('*** Pool (' + this._id + ') ****:', msg, "- Total Count:", this.totalCount(), "- Available Count:", this.availableCount(), "- Active Count:", this.activeCount(), "- Waiting Count:", this.waitingCount());
+    _destroyClient : function(resource, callback) {
+      var self = this;
+
+      resource.state = DESTROYING;
+      self._resources.delete(resource.connection);
+
+      self._destroying.push(resource);
+      self._runHook(self._beforeDestroy, resource.connection, function(error) {
+        // It is destroyed either way
+        if (error)
+          self._emitError(error);
+
+        self._destroy(resource.connection, function(error) {
+          self._destroying.splice(self._destroying.indexOf(resource), 1);
+
+          if (error)
+            self._emitError(error);
+
+          self.emit('destroy', { id: resource.id });
+          self._replenish();
+          callback();
+          self._checkDrained();
+        });
+      });
     },
 
     /**
-     * Decides who to dispense the client to
-     * @param  {object} client the client connection object
-     * @return {client}      
+     * Decides who to dispense the client to, once the 'beforeAcquire' hook has passed it. A pooled
+     * client that fails the hook is destroyed and another one is acquired, while a newly created
+     * one fails the acquire
+     * @param  {object} resource the resource record of the client
+     * @param  {object} request  the acquire request to hand the client to
      */
-    _dispense : function(client, callback) {
-      this._addToActive(client);
-      return callback(null, client);
+    _dispense : function(resource, request) {
+      var self = this;
+
+      self._startValidating(resource);
+      self._runHook(self._beforeAcquire, resource.connection, function(error) {
+        // A drain destroyed it in the meantime
+        if (! self._stopValidating(resource) )
+          return request.callback(new PoolError('Acquiring Client Error: Pool was drained'));
+
+        if (error) {
+          self._log('warn', 'hook', 'beforeAcquire failed for client ' + resource.id + ' (' + error.message + '), destroying', { clientId: resource.id, error: error });
+          self._destroyClient(resource, function() {});
+
+          return resource.lastReturnedAt ? self._acquire(request) : request.callback(error);
+        }
+
+        resource.lastBorrowedAt = self._clock.now();
+        resource.borrowStack    = request.stack;
+        resource.leaked         = false;
+        resource.useCount++;
+
+        self._addToActive(resource);
+        self._startLeakCheck();
+        self.emit('acquire', { id: resource.id, wait: self._clock.now() - request.start });
+        request.callback(null, resource.connection);
+      });
     },
 
     /**
-     * Drains the pool, forcibly
+     * Drains the pool. By default every client is destroyed at once, including active ones, and
+     * the pool can be used again afterwards. With 'graceful' set, active clients are destroyed as
+     * they are released (or once 'timeout' ms have passed, when creates still in progress are no
+     * longer waited for) and the pool is closed for good
+     * @param  {object}   options  optional, 'graceful' and 'timeout'
+     * @param  {Function} callback called once drained, if omitted a Promise is returned
+     * @return {Promise}
      */
-    drain : function(callback) {
+    drain : function(options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options  = null;
+      }
+
+      options = options || {};
+
+      if (! callback )
+        return utils.promisify(this.drain, this, [options]);
+
+      if (this._closed)
+        return callback();
+
+      if (options.graceful || this._drainCallback)
+        return this._drainGracefully(options.timeout, callback);
+
       var self = this;
 
-      self._debug('Draining the pool');
+      self._log('info', 'drain', 'Draining the pool');
       self._draining = true;
 
       // Stop the removal of idle clients, it won't matter once everything is drained
       self._stopRemoveIdleInterval();
+      self._stopLeakCheck();
+      self._stopReplenish();
 
       // Drain everything
       async.parallel({
         available: function(callback) {
-          async.each(self._available, function(client, cb) {
-            self._debug('Removing pooled (available) client ' + client.id);
-            self._destroy(client.connection, cb);
+          async.each(self._available, function(resource, cb) {
+            self._log('debug', 'drain', 'Removing pooled (available) client ' + resource.id, { clientId: resource.id });
+            self._destroyClient(resource, cb);
           }, callback);
         },
         active: function(callback) {
-          async.each(self._active, function(client, cb) {
-            self._debug('Removing pooled (active) client ' + client.id);
-            self._destroy(client, cb);
+          async.each(self._active, function(resource, cb) {
+            self._log('debug', 'drain', 'Removing pooled (active) client ' + resource.id, { clientId: resource.id });
+            self._destroyClient(resource, cb);
+          }, callback);
+        },
+        validating: function(callback) {
+          async.each(self._validating.splice(0), function(resource, cb) {
+            self._log('debug', 'drain', 'Removing pooled (validating) client ' + resource.id, { clientId: resource.id });
+            self._destroyClient(resource, cb);
           }, callback);
         },
         waiting: function(callback) {
-          self._waiting = [];
-          self._debug('Removing pooled (waiting) clients');
+          self._log('debug', 'drain', 'Removing pooled (waiting) clients');
+          self._failWaiting(new PoolError('Acquiring Client Error: Pool was drained'));
           callback(null, true);
         }
       }, function(error, results) {
         self._available = [];
         self._active    = [];
         self._draining  = false;
-        
-        if (callback)
+
+        // It is registered again if it is used after the drain
+        registry.delete(self);
+        self.emit('drain');
+        callback();
+      });
+    },
+
+    /**
+     * Stops accepting acquires and destroys the clients as they become idle, then closes the pool
+     * @param  {integer}  timeout  ms to wait for active clients before destroying them anyway
+     * @param  {Function} callback called once every client is destroyed
+     */
+    _drainGracefully : function(timeout, callback) {
+      var self = this;
+
+      // A drain already underway without a timeout still gets this one's
+      if ( timeout && ! self._drainTimer ) {
+        self._drainTimer = self._clock.setTimeout(function() {
+          self._log('warn', 'drain', 'Drain timed out, destroying ' + self._active.length + ' active clients');
+          self._drainTimedOut = true;
+          self._active.slice().forEach(function(resource) {
+            self._destroyActive(resource, function() {});
+          });
+
+          // Validations and hooks that never finish don't hold it up either
+          self._validating.splice(0).forEach(function(resource) {
+            self._destroyClient(resource, function() {});
+          });
+          self._checkDrained();
+        }, timeout);
+      }
+
+      if (self._drainCallback) {
+        var previous = self._drainCallback;
+        self._drainCallback = function() {
+          previous();
           callback();
+        };
+        return;
+      }
+
+      self._log('info', 'drain', 'Draining the pool gracefully');
+      self._draining = true;
+      self._stopRemoveIdleInterval();
+      self._stopLeakCheck();
+      self._stopReplenish();
+      self._failWaiting(new PoolError('Acquiring Client Error: Pool is draining, no clients can be acquired'));
+
+      async.each(self._available.splice(0), function(resource, cb) {
+        self._destroyClient(resource, cb);
+      }, function() {
+        self._drainCallback = callback;
+        self._checkDrained();
       });
     },
 
+    /**
+     * Emits an 'error' event, errors nobody listens for are only logged
+     * @param  {Error} error
+     */
+    _emitError : function(error) {
+      if (this.listenerCount('error') > 0)
+        return this.emit('error', error);
+
+      this._log('error', 'error', 'Error: ' + error.message, { error: error });
+    },
+
+    /**
+     * Emits an 'idleEvict' event for an available client
+     * @param  {object} resource the resource record of the idle client
+     */
+    _emitIdleEvict : function(resource) {
+      this.emit('idleEvict', { id: resource.id, idle: this._clock.now() - resource.lastReturnedAt });
+    },
+
+    /**
+     * Runs the idle eviction, checking up to 'numTestsPerEvictionRun' idle clients, the ones
+     * checked longest ago first. Evictions stop at 'min', clients past the hard idle timeout at
+     * 'min' are replaced instead, and the clients kept are pinged and validated
+     * @param  {Function} callback called once the run is over
+     */
+    _evictIdle : function(callback) {
+      var self    = this;
+      var now     = self._clock.now();
+      var surplus = self.totalCount() - self._min;
+
+      var idle = self._available.filter(function(resource) {
+        return resource.state === IDLE;
+      }).sort(function(a, b) {
+        return Math.max(a.lastCheckedAt, a.lastReturnedAt) - Math.max(b.lastCheckedAt, b.lastReturnedAt);
+      });
+
+      if (self._numTestsPerRun)
+        idle = idle.slice(0, self._numTestsPerRun);
+
+      async.each(idle, function(resource, callback) {
+        var expiry = self._idleExpiry(resource, surplus > 0);
+
+        resource.lastCheckedAt = now;
+
+        if (expiry === 'replace')
+          return self._replaceIdle(resource, callback);
+
+        if (! expiry )
+          return self._testIdle(resource, callback);
+
+        surplus--;
+        self._log('warn', 'idleEvict', 'Client ' + resource.id + ' has timed out, removing from pool', { clientId: resource.id });
+        self._emitIdleEvict(resource);
+        self._destroyIdle(resource, callback);
+      }, function() {
+        callback();
+      });
+    },
+
+    /**
+     * Fails every waiting acquire
+     * @param  {Error} error the error to give the waiting callbacks
+     */
+    _failWaiting : function(error) {
+      var self    = this;
+      var waiting = this._waiting;
+
+      this._waiting = [];
+      waiting.forEach(function(request) {
+        self._clock.clearTimeout(request.timer);
+        request.callback(error);
+      });
+    },
+
+    /**
+     * Checks whether an idle client has been idle for too long. Past the soft idle timeout
+     * ('softIdleTimeout', or 'idleTimeout' if it isn't set) it is evicted, but only if the pool is
+     * above 'min' without it. With 'softIdleTimeout' set, 'idleTimeout' is a hard limit past which
+     * it is replaced even at 'min'
+     * @param  {object}  resource the resource record of an idle client
+     * @param  {boolean} surplus  TRUE if the pool can lose the client without going below 'min'
+     * @return {string}           'evict', 'replace' or NULL
+     */
+    _idleExpiry : function(resource, surplus) {
+      var idle = this._clock.now() - resource.lastReturnedAt;
+
+      if ( surplus && (idle >= (this._softIdleTimeout || this._idleTimeout)) )
+        return 'evict';
+
+      if ( this._softIdleTimeout && (idle >= this._idleTimeout) )
+        return surplus ? 'evict' : 'replace';
+
+      return null;
+    },
+
     /**
      * Initialize the Pool
-     * @return {object} with the Pool instance
+     * @param  {Function} callback called with the Pool instance, if omitted a Promise is returned
+     * @return {Promise}
      */
     init : function(callback) {
+      if (! callback )
+        return utils.promisify(this.init, this);
+
       var self  = this;
       var count = new Array(self._min+1).join('0').split('').map(parseFloat)
 
-      self._debug('Initiating Pool with ' + self._min + ' clients');
+      self._log('info', 'init', 'Initiating Pool with ' + self._min + ' clients');
+      var createError = null;
       var tasks = count.map(function(item) {
-        self._debug('Creating task:', item);
+        self._log('debug', 'init', 'Creating task', { task: item });
         return function(cb) {
-          self._createClient(function(error, connection) {
-            if (error) throw error;
+          self._createClient(function(error, resource) {
+            // Let the other creates finish so none of them leak
+            if (error) {
+              createError = createError || error;
+              return cb(null);
+            }
 
-            self._addToPool(connection, cb);
+            self._addToPool(resource, cb);
           });
         }
       });
 
-      async.parallel(tasks, function(error) {
+      async.parallel(tasks, function() {
+        if (createError)
+          return callback(createError);
+
+        registry.add(self);
         callback(null, self);
       });
     },
 
     /**
-     * Releases a connection back into the pool for later use
-     * @param  {client} 
+     * Returns what every client of the pool is doing, for debugging. Times are in ms
+     * @return {object} the pool name and id, the 'resources' with their id, state, age, idle time
+     *                  and borrow duration, and the 'waiting' count and age of the oldest waiter
+     */
+    inspect : function() {
+      var now  = this._clock.now();
+      var seen = new Set(this._pending.concat(Array.from(this._resources.values()), this._destroying));
+
+      var resources = Array.from(seen).sort(function(a, b) {
+        return a.id - b.id;
+      }).map(function(resource) {
+        return {
+          id       : resource.id,
+          state    : resource.state,
+          age      : resource.createdAt ? now - resource.createdAt : null,
+          idle     : (resource.state === IDLE) ? now - resource.lastReturnedAt : null,
+          borrowed : (resource.state === ACTIVE) ? now - resource.lastBorrowedAt : null,
+          useCount : resource.useCount
+        };
+      });
+
+      var oldest = this._waiting.reduce(function(start, request) {
+        return Math.min(start, request.start);
+      }, now);
+
+      return {
+        name      : this._name,
+        id        : this._id,
+        min       : this._min,
+        max       : this._max,
+        closed    : this._closed,
+        draining  : this._draining,
+        resources : resources,
+        waiting   : {
+          count  : this._waiting.length,
+          oldest : this._waiting.length ? now - oldest : null
+        }
+      };
+    },
+
+    /**
+     * Checks whether a client has reached 'maxLifetime' or 'maxUses' and should be retired
+     * @param  {object}  resource the resource record
+     * @return {Boolean}          TRUE if the client should be destroyed rather than reused
      */
-    release : function(connection, callback) {
-      if (this._active.indexOf(connection) < 0)
+    _isRetired : function(resource) {
+      if (this._maxLifetime && (this._clock.now() - resource.createdAt >= this._maxLifetime))
+        return true;
+
+      return !!(this._maxUses && (resource.useCount >= this._maxUses));
+    },
+
+    /**
+     * Writes a structured record to the logger, if there is one
+     * @param  {string} level  debug, info, warn or error
+     * @param  {string} event  what happened, such as 'acquire' or 'idleEvict'
+     * @param  {string} msg    the message
+     * @param  {object} fields optional, more fields for the record such as 'clientId'
+     */
+    _log : function(level, event, msg, fields) {
+      if (! this._logger )
         return;
 
+      var record = Object.assign({
+        pool      : this._name,
+        poolId    : this._id,
+        event     : event,
+        total     : this.totalCount(),
+        available : this.availableCount(),
+        active    : this.activeCount(),
+        pending   : this.pendingCount(),
+        waiting   : this.waitingCount()
+      }, fields);
+
+      this._logger[level](record, msg);
+    },
+
+    /**
+     * Starts queued creates, as many at once as 'maxConcurrentCreates' allows
+     */
+    _nextCreate : function() {
       var self = this;
-      this._debug('Releasing Client');
-      this._removeFromActive(connection, function() {
-        self._addToPool(connection, function(error, client) {
-          if (self._waiting.length > 0)
-            self.acquire(self._waiting.shift());  
-
-          if (callback)
-            callback(null, client);
+
+      while ( (self._createQueue.length > 0) && (! self._maxConcurrentCreates || (self._creating < self._maxConcurrentCreates)) ) {
+        self._creating++;
+        self._createQueue.shift()(function() {
+          self._creating--;
+          self._nextCreate();
         });
-      }); 
+      }
+    },
+
+    /**
+     * Returns the number of clients being created
+     * @return {integer} pending number
+     */
+    pendingCount : function() {
+      return this._pending.length;
+    },
+
+    /**
+     * Queues a create, it is started once there are fewer than 'maxConcurrentCreates' in progress
+     * @param  {Function} create called with a function to call once the create is done
+     */
+    _queueCreate : function(create) {
+      this._createQueue.push(create);
+      this._nextCreate();
     },
 
     /**
-     * Remove the client from the pool for good
-     * @param  {object} client the client object to remove
+     * Releases a connection back into the pool for later use. Passing an error means the client
+     * is broken, it is destroyed instead (see destroy())
+     * @param  {client}   connection the client acquired from the pool
+     * @param  {Error}    error      optional, the error the client failed with
+     * @param  {Function} callback   called with TRUE once released, or FALSE if the client wasn't
+     *                               active in the pool (such as after drain()), if omitted a Promise
+     *                               is returned
+     * @return {Promise}
      */
-    removeFromPool : function(client, callback) {
+    release : function(connection, error, callback) {
+      if (typeof error === 'function') {
+        callback = error;
+        error    = null;
+      }
+
+      if (! callback )
+        return utils.promisify(this.release, this, [connection, error]);
+
+      if (error) {
+        this._log('warn', 'release', 'Client released with error (' + error.message + ')', { error: error });
+        return this.destroy(connection, callback);
+      }
+
+      var resource = this._resources.get(connection);
+
+      // A drain may already have destroyed it, which is no reason to fail
+      if (!resource || resource.state !== ACTIVE) {
+        this._log('warn', 'release', 'Ignoring release of a client that is not active in this pool');
+        return callback(null, false);
+      }
+
       var self = this;
+      this._log('debug', 'release', 'Releasing Client (' + resource.id + ')', { clientId: resource.id });
+      this.emit('release', { id: resource.id, borrowed: this._clock.now() - resource.lastBorrowedAt });
+      this._removeFromActive(resource, function() {
+        if (self._draining) {
+          self._log('debug', 'release', 'Pool is draining, destroying released client', { clientId: resource.id });
+          return self._destroyClient(resource, function() {
+            callback(null, true);
+          });
+        }
 
-      if (client.connection)
-        client = client.connection;
+        if (self._isRetired(resource)) {
+          self._log('info', 'retire', 'Client ' + resource.id + ' retired after ' + resource.useCount + ' uses', { clientId: resource.id, uses: resource.useCount });
+          return self._destroyClient(resource, function() {
+            self._serveWaiting();
+            callback(null, true);
+          });
+        }
 
-      this._destroy(client, function() {
-        self._available.splice(self._available.indexOf(client), 1);
-        self._debug('Client ' + client.id + ' Removed (timeout)');
-        
-        if (callback)
-          callback();
-      });
+        // The pool was shrunk while it was active
+        if (self._max && (self.totalCount() >= self._max)) {
+          self._log('debug', 'release', 'Pool is over max, destroying released client ' + resource.id, { clientId: resource.id });
+          return self._destroyClient(resource, function() {
+            callback(null, true);
+          });
+        }
+
+        function pool() {
+          // The pool started draining while it was checked
+          if (self._draining)
+            return self._destroyClient(resource, function() {
+              callback(null, true);
+            });
+
+          self._addToPool(resource, function() {
+            self._serveWaiting();
+            callback(null, true);
+          });
+        }
+
+        function destroy() {
+          self._destroyClient(resource, function() {
+            self._serveWaiting();
+            callback(null, true);
+          });
+        }
+
+        self._startValidating(resource);
+        self._runHook(self._afterRelease, connection, function(error) {
+          if (! self._stopValidating(resource) )
+            return callback(null, true);
+
+          if (error) {
+            self._log('warn', 'hook', 'afterRelease failed for client ' + resource.id + ' (' + error.message + '), destroying', { clientId: resource.id, error: error });
+            return destroy();
+          }
+
+          if (! self._testOnReturn )
+            return pool();
+
+          self._startValidating(resource);
+          self._validateClient(connection, function(valid) {
+            if (! self._stopValidating(resource) )
+              return callback(null, true);
+
+            if (valid)
+              return pool();
+
+            self._log('warn', 'validate', 'Client failed validation on return, destroying', { clientId: resource.id });
+            destroy();
+          });
+        });
+      }); 
+    },
+
+    /**
+     * Remove the client from the pool for good, same as destroy()
+     * @param  {object}   connection the client to remove
+     * @param  {Function} callback   called with TRUE once removed, or FALSE if the client wasn't in
+     *                               the pool, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    removeFromPool : function(connection, callback) {
+      return this.destroy(connection, callback);
     },
 
     /**
-     * Remove the connection from the active array
-     * @param  {object} connection the connection object to remove
+     * Remove the resource from the active array
+     * @param  {object} resource the resource record to remove
      */
-    _removeFromActive : function(connection, callback) {
-      this._active.splice(this._active.indexOf(connection), 1);
+    _removeFromActive : function(resource, callback) {
+      this._active.splice(this._active.indexOf(resource), 1);
+      resource.borrowStack = null;
       
       if (callback)
         callback();
     },
 
+    /**
+     * Runs a lifecycle hook on a client, if the hook is set
+     * @param  {Function} hook       the hook, called as hook(client, callback) and may return a
+     *                               Promise instead of calling back
+     * @param  {object}   connection the client
+     * @param  {Function} callback   called with the error of the hook
+     */
+    _runHook : function(hook, connection, callback) {
+      if (! hook )
+        return callback(null);
+
+      var called = false;
+
+      function done(error) {
+        if (called)
+          return;
+
+        called = true;
+        callback(error || null);
+      }
+
+      var result;
+
+      // A hook that throws failed like any other, unless it was what called back threw
+      try {
+        result = hook(connection, done);
+      } catch (error) {
+        if (called)
+          throw error;
+
+        return done(error);
+      }
+
+      if ( result && (typeof result.then === 'function') ) {
+        result.then(function() {
+          done(null);
+        }, function(error) {
+          done(error || new PoolError('Hook Error: The hook rejected'));
+        });
+      }
+    },
+
+    /**
+     * Hands a client to the longest waiting acquire, if there is one
+     */
+    _serveWaiting : function() {
+      if (this._waiting.length < 1)
+        return;
+
+      var request = this._waiting.shift();
+      this._clock.clearTimeout(request.timer);
+      request.timer = null;
+      this._acquire(request);
+    },
+
+    /**
+     * Replaces an idle client past the hard idle timeout, creating the new client before the old
+     * one is destroyed so the pool never goes below 'min'. The old one is kept if that fails
+     * @param  {object}   resource the resource record of the idle client
+     * @param  {Function} callback called once replaced
+     */
+    _replaceIdle : function(resource, callback) {
+      var self = this;
+
+      if ( self._max && (self.totalCount() >= self._max) )
+        return callback();
+
+      self._createClient(function(error, fresh) {
+        if (error)
+          return callback();
+
+        if (self._draining || self._closed)
+          return self._destroyClient(fresh, callback);
+
+        self._addToPool(fresh, function() {
+          self._serveWaiting();
+
+          // It may have been acquired or destroyed in the meantime
+          if ( (self._available.indexOf(resource) < 0) || (resource.state !== IDLE) )
+            return callback();
+
+          self._log('info', 'idleEvict', 'Client ' + resource.id + ' has timed out, replaced by client ' + fresh.id, { clientId: resource.id });
+          self._emitIdleEvict(resource);
+          self._destroyIdle(resource, callback);
+        });
+      });
+    },
+
+    /**
+     * Creates clients in the background until there are at least 'min', without going over 'max'.
+     * Failed creates are tried again later with exponential backoff
+     */
+    _replenish : function() {
+      var self   = this;
+      var needed = self._min - self.totalCount();
+
+      if (self._max)
+        needed = Math.min(needed, self._max - self.totalCount());
+
+      if ( (needed < 1) || self._draining || self._closed || self._replenishTimer )
+        return;
+
+      self._log('info', 'replenish', 'Replenishing pool with ' + needed + ' clients');
+
+      for (var i = 0; i < needed; i++) {
+        self._createClient(function(error, resource) {
+          if (error) {
+            if (self._replenishTimer || self._draining || self._closed)
+              return;
+
+            var delay = utils.backoff(self._replenishFailures++, self._createBackoff, self._createBackoffMax, self._createJitter);
+            self._log('warn', 'replenish', 'Replenishing failed (' + error.message + '), trying again in ' + delay + 'ms', { delay: delay });
+            self._replenishTimer = utils.unref(self._clock.setTimeout(function() {
+              self._replenishTimer = null;
+              self._replenish();
+            }, delay));
+            return;
+          }
+
+          self._replenishFailures = 0;
+
+          // The pool may have been drained while it was created
+          if (self._draining || self._closed)
+            return self._destroyClient(resource, function() {});
+
+          self._addToPool(resource, function() {
+            self._serveWaiting();
+          });
+        });
+      }
+    },
+
+    /**
+     * Changes 'min' and 'max' of a live pool. Growing serves waiting acquires straight away,
+     * shrinking destroys idle clients first and active ones as they are released
+     * @param  {object}   options  'min' and/or 'max', a max of NULL means no limit
+     * @param  {Function} callback called once the surplus idle clients are destroyed, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    resize : function(options, callback) {
+      if (! callback )
+        return utils.promisify(this.resize, this, [options]);
+
+      var self = this;
+      var min  = (options.min !== undefined) ? options.min : self._min;
+      var max  = (options.max !== undefined) ? options.max : self._max;
+
+      if ( ! Number.isInteger(min) || ((max !== null) && ! Number.isInteger(max)) )
+        return callback(new PoolError("Resizing Pool Error: 'min' and 'max' must be integers"));
+
+      if ( (min < 0) || (max !== null && max < 1) || (max && min > max) )
+        return callback(new PoolError('Resizing Pool Error: Invalid min (' + min + ') or max (' + max + ')'));
+
+      self._log('info', 'resize', 'Resizing pool to min ' + min + ', max ' + max);
+      self._min = min;
+      self._max = max;
+
+      // Serve as many waiting acquires as the new max allows
+      var serve = max ? Math.min(self._waiting.length, max - self.totalCount()) : self._waiting.length;
+
+      for (var i = 0; i < serve; i++)
+        self._serveWaiting();
+
+      // Retire idle clients over the new max, active ones are destroyed on release
+      var surplus = max ? self._available.filter(function(resource) {
+        return resource.state === IDLE;
+      }).slice(0, Math.max(0, self.totalCount() - max)) : [];
+
+      async.each(surplus, function(resource, cb) {
+        self._destroyIdle(resource, cb);
+      }, function() {
+        // A lower min may leave idle clients to evict
+        self._startRemoveIdleInterval();
+        self._replenish();
+        callback(null);
+      });
+    },
+
+    /**
+     * Changes the state of the circuit breaker, emitting a 'circuit' event
+     * @param  {string} state the new state
+     */
+    _setCircuitState : function(state) {
+      var previous = this._circuitState;
+
+      if (state === previous)
+        return;
+
+      this._circuitState = state;
+      this._log((state === OPEN) ? 'warn' : 'info', 'circuit', 'Circuit breaker ' + state, { state: state, previous: previous });
+      this.emit('circuit', { state: state, previous: previous, failures: this._circuitFailures });
+    },
+
+    /**
+     * Fails an acquire request after request.timeout ms if it is set, unless it is served first
+     * @param {object} request the acquire request
+     */
+    _startAcquireTimer : function(request) {
+      var self = this;
+
+      if ( ! request.timeout || request.timer )
+        return;
+
+      request.timer = self._clock.setTimeout(function() {
+        var index = self._waiting.indexOf(request);
+
+        if (index >= 0)
+          self._waiting.splice(index, 1);
+
+        request.timer    = null;
+        request.timedOut = true;
+        self._log('warn', 'acquireTimeout', 'Acquire timed out after ' + request.timeout + 'ms');
+        self.emit('acquireTimeout', { wait: self._clock.now() - request.start });
+        request.callback(new AcquireTimeoutError('Acquiring Client Error: Timed out after ' + request.timeout + 'ms waiting for a client'));
+      }, request.timeout);
+    },
+
+    /**
+     * Start checking active clients for leaks, while there are any
+     */
+    _startLeakCheck : function() {
+      if (this._leakIntHandle || ! (this._leakThreshold || this._abandonedTimeout) )
+        return;
+
+      this._leakIntHandle = utils.unref(this._clock.setTimeout(function() {
+        this._leakIntHandle = null;
+        this._checkLeaks();
+
+        if (this._active.length > 0)
+          this._startLeakCheck();
+      }.bind(this), this._leakCheckInterval));
+    },
+
     /**
      * Start the removal of idle clients from the pool
      */
@@ -296,28 +1424,41 @@ function Pool(options, callback) {
         return;
 
       this._removingIdle = true;
-      this._debug('Start check idle');
-      this._idleIntHandle = setTimeout(function() {
-        if (this._available.length <= this._min) 
-          return this._startRemoveIdleInterval();
-
-        var removeClients = [];
-        async.each(this._available, function(client, callback) {
-          this._checkTimeout(client, function(timedOut) {
-            if (timedOut)
-              removeClients.push(client);
-
-            callback(null);
-          })
-        }.bind(this), function() {
-          async.each(removeClients, function(client, callback) {
-            this.removeFromPool(client, callback);
-          }.bind(this), function() {
-            this._removingIdle = false;
-            this._startRemoveIdleInterval();
-          }.bind(this));
+      this._log('debug', 'idleCheck', 'Start check idle');
+      // Upkeep of idle clients shouldn't keep the process alive
+      this._idleIntHandle = utils.unref(this._clock.setTimeout(function() {
+        this._evictIdle(function() {
+          // Stopped while it ran
+          if (! this._removingIdle )
+            return;
+
+          this._removingIdle  = false;
+          this._idleIntHandle = null;
+
+          // Nothing is left to do until a client is returned or the pool is resized
+          if ( (this.totalCount() <= this._min) && ! (this._testWhileIdle || this._keepAlive || this._softIdleTimeout) )
+            return;
+
+          this._startRemoveIdleInterval();
         }.bind(this));
-      }.bind(this), this._reapInterval);
+      }.bind(this), this._reapInterval));
+    },
+
+    /**
+     * Stop checking active clients for leaks
+     */
+    _stopLeakCheck : function() {
+      this._clock.clearTimeout(this._leakIntHandle);
+      this._leakIntHandle = null;
+    },
+
+    /**
+     * Stop replenishing the pool
+     */
+    _stopReplenish : function() {
+      this._clock.clearTimeout(this._replenishTimer);
+      this._replenishTimer    = null;
+      this._replenishFailures = 0;
     },
 
     /**
@@ -327,18 +1468,160 @@ function Pool(options, callback) {
       if (! this._removingIdle )
         return;
 
-      clearTimeout(this._idleIntHandle);
+      this._clock.clearTimeout(this._idleIntHandle);
       this._removingIdle  = false;
       this._idleIntHandle = null;
     },
 
     /**
-     * Tests whether a connection can be made
-     * @return {Function} 
+     * Returns a snapshot of the pool's counts and cumulative statistics
+     * @return {object} the counts, counters and acquireWait, borrowDuration and createLatency histograms
+     */
+    stats : function() {
+      var stats = this._stats;
+
+      return {
+        name            : this._name,
+        id              : this._id,
+        totalCount      : this.totalCount(),
+        availableCount  : this.availableCount(),
+        activeCount     : this.activeCount(),
+        waitingCount    : this.waitingCount(),
+        pendingCount    : this.pendingCount(),
+        created         : stats.created,
+        createErrors    : stats.createErrors,
+        destroyed       : stats.destroyed,
+        idleEvictions   : stats.idleEvictions,
+        acquires        : stats.acquires,
+        acquireTimeouts : stats.acquireTimeouts,
+        releases        : stats.releases,
+        acquireWait     : stats.acquireWait.snapshot(),
+        borrowDuration  : stats.borrowDuration.snapshot(),
+        createLatency   : stats.createLatency.snapshot()
+      };
+    },
+
+    /**
+     * Counts a client taken out of the other queues while it is validated or run through a hook, so
+     * creates don't go over max
+     * @param  {object} resource the resource record
+     */
+    _startValidating : function(resource) {
+      resource.state = VALIDATING;
+      this._validating.push(resource);
+    },
+
+    /**
+     * Stops counting a client once it has been validated
+     * @param  {object}  resource the resource record
+     * @return {boolean}          FALSE if a drain destroyed it in the meantime
+     */
+    _stopValidating : function(resource) {
+      var index = this._validating.indexOf(resource);
+
+      if (index < 0)
+        return false;
+
+      this._validating.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Takes the idle client picked by the strategy out of the available queue
+     * @return {object} the resource record, NULL if no client is idle
+     */
+    _takeAvailable : function() {
+      var idle = this._available.filter(function(resource) {
+        return resource.state === IDLE;
+      });
+
+      if (idle.length < 1)
+        return null;
+
+      var index = this._available.indexOf(this._strategy(idle));
+
+      // Fall back to the longest idle if the strategy picked something else
+      if (index < 0)
+        index = this._available.indexOf(idle[0]);
+
+      return this._available.splice(index, 1)[0];
+    },
+
+    /**
+     * Tests whether a connection can be made, by acquiring a client and validating it
+     * @param  {Function} callback called with TRUE if the client is valid, if omitted a Promise is returned
+     * @return {Promise}
      */
     testConnection : function(callback) {
-      return this._createClient(function(client) {
-        client.testConnection(callback);
+      if (! callback )
+        return utils.promisify(this.testConnection, this);
+
+      var self = this;
+
+      self.acquire(function(error, client) {
+        if (error)
+          return callback(error);
+
+        self._validateClient(client, function(valid) {
+          if (valid)
+            return self.release(client, function() {
+              callback(null, true);
+            });
+
+          self.destroy(client, function() {
+            callback(null, false);
+          });
+        });
+      });
+    },
+
+    /**
+     * Pings an idle client kept in the pool with 'keepAlive' once it has gone 'keepAliveInterval' ms
+     * without one, and validates it if 'testWhileIdle' is set. It is destroyed if either fails
+     * @param  {object}   resource the resource record of the idle client
+     * @param  {Function} callback called once tested
+     */
+    _testIdle : function(resource, callback) {
+      var self = this;
+      var now  = self._clock.now();
+      var ping = self._keepAlive && (now - Math.max(resource.lastPingedAt, resource.lastReturnedAt) >= self._keepAliveInterval);
+
+      if ( !ping && ! self._testWhileIdle )
+        return callback();
+
+      // Keep it from being acquired while it is checked
+      resource.state = VALIDATING;
+
+      function failed(msg) {
+        resource.state = IDLE;
+
+        // It may have been destroyed in the meantime
+        if (self._available.indexOf(resource) < 0)
+          return callback();
+
+        self._log('warn', 'validate', 'Client ' + resource.id + ' ' + msg, { clientId: resource.id });
+        self._destroyIdle(resource, callback);
+      }
+
+      self._runHook(ping ? self._keepAlive : null, resource.connection, function(error) {
+        if (error)
+          return failed('failed its keepalive ping (' + error.message + ')');
+
+        if (ping)
+          resource.lastPingedAt = now;
+
+        if (! self._testWhileIdle ) {
+          resource.state = IDLE;
+          return callback();
+        }
+
+        self._validateClient(resource.connection, function(valid) {
+          if (! valid )
+            return failed('failed validation while idle');
+
+          resource.state = IDLE;
+          callback();
+        });
       });
     },
 
@@ -347,7 +1630,104 @@ function Pool(options, callback) {
      * @return {integer} total number 
      */
     totalCount : function() {
-      return this._available.length + this._active.length;
+      return this._pending.length + this._available.length + this._active.length + this._validating.length;
+    },
+
+    /**
+     * Acquires a client, runs fn with it and always gives it back. The client is released
+     * once the Promise returned by fn resolves, or destroyed if it rejects or fn throws
+     * @param  {Function} fn       called with the client, may return a Promise
+     * @param  {Function} callback called with the result of fn, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    use : function(fn, callback) {
+      if (! callback )
+        return utils.promisify(this.use, this, [fn]);
+
+      var self = this;
+
+      self.acquire(function(error, client) {
+        if (error)
+          return callback(error);
+
+        new Promise(function(resolve) {
+          resolve(fn(client));
+        }).then(function(result) {
+          self.release(client, function() {
+            callback(null, result);
+          });
+        }, function(error) {
+          self._log('debug', 'use', 'Destroying client after error in use()');
+          self.destroy(client, function() {
+            callback(error);
+          });
+        });
+      });
+    },
+
+    /**
+     * Checks a client with the 'validate' option, clients are always valid if it isn't set
+     * @param  {object}   connection the connection object to check
+     * @param  {Function} callback   called with TRUE if the client can be used, FALSE otherwise
+     */
+    _validateClient : function(connection, callback) {
+      if (! this._validate )
+        return callback(true);
+
+      var called = false;
+
+      // A validate that throws fails the client
+      try {
+        this._validate(connection, function(error, valid) {
+          called = true;
+          callback(!error && !!valid);
+        });
+      } catch (error) {
+        if (called)
+          throw error;
+
+        callback(false);
+      }
+    },
+
+    /**
+     * Gives up on an acquire when its signal is aborted. A waiting acquire is taken out of the
+     * queue, and a client created or validated for it after the abort goes straight back to the pool
+     * @param  {object}      request the acquire request
+     * @param  {AbortSignal} signal  the signal
+     */
+    _watchSignal : function(request, signal) {
+      var self     = this;
+      var callback = request.callback;
+      var aborted  = false;
+
+      function onAbort() {
+        var index = self._waiting.indexOf(request);
+
+        aborted = true;
+
+        if (index >= 0) {
+          self._waiting.splice(index, 1);
+          self._clock.clearTimeout(request.timer);
+        }
+
+        self._log('debug', 'acquireAborted', 'Acquire aborted');
+        callback(new AcquireAbortedError('Acquiring Client Error: Acquire was aborted'));
+      }
+
+      request.callback = function(error, connection) {
+        if (aborted) {
+          if (connection)
+            self.release(connection, function() {});
+
+          return;
+        }
+
+        signal.removeEventListener('abort', onAbort);
+        callback(error, connection);
+      };
+
+      signal.addEventListener('abort', onAbort);
     },
 
     /**
@@ -359,8 +1739,116 @@ function Pool(options, callback) {
     },
   };
 
-  instance.init(callback);
+  // Make the instance an EventEmitter
+  Object.setPrototypeOf(instance, EventEmitter.prototype);
+  EventEmitter.call(instance);
+  instance._stats = metrics.collect(instance);
+
+  instance.init(function(error) {
+    if (! error )
+      return callback(null, instance);
+
+    // Don't leave the clients that were created behind
+    instance.drain(function() {
+      callback(error);
+    });
+  });
 }
 
-Pool.id        = 1;
-Pool.client_id = 1;
\ No newline at end of file
+Pool.id = 1;
+
+/**
+ * Returns the live pools, from the time they are initialized or acquired from until a drain
+ * empties them
+ * @return {Array}
+ */
+Pool.pools = function() {
+  return Array.from(registry);
+};
+
+
+/**
+ * Returns a live pool by name
+ * @param  {string} name the pool name
+ * @return {Pool}        NULL if there is no such pool
+ */
+Pool.get = function(name) {
+  return Pool.pools().filter(function(pool) {
+    return pool._name === name;
+  })[0] || null;
+};
+
+/**
+ * Gracefully drains every live pool in parallel, closing them
+ * @param  {object}   options  optional, 'timeout' ms to wait for active clients of each pool
+ * @param  {Function} callback called once every pool is closed, if omitted a Promise is returned
+ * @return {Promise}
+ */
+Pool.closeAll = function(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options  = null;
+  }
+
+  options = options || {};
+
+  if (! callback )
+    return utils.promisify(Pool.closeAll, null, [options]);
+
+  async.each(Pool.pools(), function(pool, cb) {
+    pool.drain({ graceful: true, timeout: options.timeout }, cb);
+  }, function() {
+    callback(null);
+  });
+};
+
+/**
+ * Closes every pool when the process gets a shutdown signal. Once closed, the signal is raised
+ * again if nothing else handles it, so the process ends the way it would have
+ * @param  {object}   options optional, 'signals' (SIGTERM and SIGINT by default) and 'timeout'
+ *                            for closeAll()
+ * @return {Function}         removes the handlers
+ */
+Pool.handleSignals = function(options) {
+  options = options || {};
+
+  var signals  = options.signals || ['SIGTERM', 'SIGINT'];
+  var handlers = {};
+
+  function remove() {
+    signals.forEach(function(signal) {
+      process.removeListener(signal, handlers[signal]);
+    });
+  }
+
+  signals.forEach(function(signal) {
+    handlers[signal] = function() {
+      remove();
+
+      Pool.closeAll({ timeout: options.timeout }, function() {
+        if (process.listenerCount(signal) === 0)
+          process.kill(process.pid, signal);
+      });
+    };
+
+    process.on(signal, handlers[signal]);
+  });
+
+  return remove;
+};
+
+/**
+ * Renders the metrics of pools for Prometheus
+ * @param  {Array}  pools optional, every live pool by default
+ * @return {string}
+ */
+Pool.prometheus = function(pools) {
+  return metrics.prometheus(pools || Pool.pools());
+};
+
+// Errors
+Pool.PoolError           = PoolError;
+Pool.AcquireTimeoutError = AcquireTimeoutError;
+Pool.AcquireAbortedError = AcquireAbortedError;
+Pool.QueueFullError      = QueueFullError;
+Pool.CircuitOpenError    = CircuitOpenError;
\ No newline at end of file
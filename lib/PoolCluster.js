@@ -0,0 +1,298 @@
+var Pool         = require('./Pool');
+var PoolError    = require('./PoolError');
+var utils        = require('./utils');
+var async        = require('async');
+var EventEmitter = require('events').EventEmitter;
+
+module.exports = PoolCluster;
+
+/**
+ * Selectors pick the member to acquire from out of the online members matching the pattern
+ */
+var selectors = {
+  'round-robin' : function() {
+    var index = 0;
+
+    return function(members) {
+      return members[index++ % members.length];
+    };
+  },
+
+  random : function() {
+    return function(members) {
+      return members[Math.floor(Math.random() * members.length)];
+    };
+  },
+
+  weighted : function() {
+    return function(members) {
+      var total = members.reduce(function(sum, member) { return sum + member.weight; }, 0);
+      var point = Math.random() * total;
+
+      for (var i = 0; i < members.length; i++) {
+        point -= members[i].weight;
+
+        if (point < 0)
+          return members[i];
+      }
+
+      return members[members.length - 1];
+    };
+  }
+};
+
+/**
+ * Turns a pattern like 'replica-*' into a regular expression
+ * @param  {string} pattern the member name pattern, '*' matches anything
+ * @return {RegExp}
+ */
+function patternToRegExp(pattern) {
+  var escaped = pattern.split('*').map(function(part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  return new RegExp('^' + escaped.join('.*') + '$');
+}
+
+/**
+ * Creates a cluster of named pools, acquires are routed to a member selected by 'selector'
+ * @param  {object} options 'selector' (round-robin, random, weighted or a function), 'maxFailures'
+ *                          consecutive create failures before a member is taken out of rotation,
+ *                          'cooldown' ms before it is put back and the 'clock' to time it with,
+ *                          also given to members without a clock of their own
+ * @return {object}         the cluster
+ */
+function PoolCluster(options) {
+  options = options || {};
+
+  var selector = options.selector || 'round-robin';
+
+  if (typeof selector !== 'function') {
+    if (! selectors.hasOwnProperty(selector) )
+      throw new PoolError("Unknown selector '" + selector + "' in options");
+
+    selector = selectors[selector]();
+  }
+
+  var cluster = {
+
+    // Members by name, and the member each acquired client came from
+    _members : {},
+    _clients : new Map(),
+
+    // Set the options
+    _selector    : selector,
+    _maxFailures : options.maxFailures || 3,
+    _cooldown    : options.cooldown || 5000,
+    _clock       : options.clock || utils.clock,
+
+    /**
+     * Acquires a client from a member matching the pattern, failing over to the other matching
+     * members if it can't
+     * @param  {string}   pattern  optional, member name pattern such as 'replica-*', all by default
+     * @param  {Function} callback called with the client, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    acquire : function(pattern, callback) {
+      if (typeof pattern === 'function') {
+        callback = pattern;
+        pattern  = null;
+      }
+
+      pattern = pattern || '*';
+
+      if (! callback )
+        return utils.promisify(this.acquire, this, [pattern]);
+
+      var self       = this;
+      var candidates = self._online(pattern);
+      var lastError  = null;
+
+      if (candidates.length < 1)
+        return callback(new PoolError("Acquiring Client Error: No online pools match '" + pattern + "'"));
+
+      (function attempt() {
+        if (candidates.length < 1)
+          return callback(lastError);
+
+        var member = self._selector(candidates);
+        candidates.splice(candidates.indexOf(member), 1);
+
+        member.pool.acquire(function(error, client) {
+          if (error) {
+            lastError = error;
+            return attempt();
+          }
+
+          self._clients.set(client, member);
+          callback(null, client);
+        });
+      })();
+    },
+
+    /**
+     * Creates a pool and adds it to the cluster
+     * @param  {string}   name     the member name
+     * @param  {object}   options  the Pool options, plus 'weight' for the weighted selector
+     * @param  {Function} callback called with the pool, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    add : function(name, options, callback) {
+      if (! callback )
+        return utils.promisify(this.add, this, [name, options]);
+
+      var self = this;
+
+      if (self._members[name])
+        return callback(new PoolError("Adding Pool Error: The cluster already has a pool named '" + name + "'"));
+
+      options = Object.assign({ name: name, clock: self._clock }, options);
+
+      Pool(options, function(error, pool) {
+        if (error)
+          return callback(error);
+
+        var member = {
+          name         : name,
+          pool         : pool,
+          weight       : options.weight || 1,
+          failures     : 0,
+          offlineUntil : 0
+        };
+
+        pool.on('create', function() {
+          member.failures = 0;
+        });
+
+        pool.on('createError', function() {
+          if (++member.failures >= self._maxFailures)
+            self._takeOffline(member);
+        });
+
+        self._members[name] = member;
+        callback(null, pool);
+      });
+    },
+
+    /**
+     * Drains every member pool
+     * @param  {object}   options  optional, passed to each pool's drain()
+     * @param  {Function} callback called once drained, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    drain : function(options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options  = null;
+      }
+
+      if (! callback )
+        return utils.promisify(this.drain, this, [options]);
+
+      var self = this;
+
+      async.each(Object.keys(self._members), function(name, cb) {
+        self._members[name].pool.drain(options, cb);
+      }, callback);
+    },
+
+    /**
+     * Returns a member pool
+     * @param  {string} name the member name
+     * @return {Pool}        NULL if there is no such member
+     */
+    get : function(name) {
+      return this._members[name] ? this._members[name].pool : null;
+    },
+
+    /**
+     * Returns the online members matching a pattern, putting back members whose cooldown is over
+     * @param  {string} pattern the member name pattern
+     * @return {Array}          the member records
+     */
+    _online : function(pattern) {
+      var self   = this;
+      var regexp = patternToRegExp(pattern);
+      var now    = self._clock.now();
+
+      return Object.keys(self._members).filter(function(name) {
+        return regexp.test(name);
+      }).map(function(name) {
+        return self._members[name];
+      }).filter(function(member) {
+        if (member.offlineUntil && (member.offlineUntil <= now)) {
+          member.offlineUntil = 0;
+          self.emit('online', { name: member.name });
+        }
+
+        return ! member.offlineUntil;
+      });
+    },
+
+    /**
+     * Releases a client back to the pool it came from
+     * @param  {object}   client   the client acquired from the cluster
+     * @param  {Error}    error    optional, the client is destroyed if given
+     * @param  {Function} callback called with TRUE once released, or FALSE if the client wasn't
+     *                             acquired from the cluster, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    release : function(client, error, callback) {
+      if (typeof error === 'function') {
+        callback = error;
+        error    = null;
+      }
+
+      if (! callback )
+        return utils.promisify(this.release, this, [client, error]);
+
+      var member = this._clients.get(client);
+
+      if (! member )
+        return callback(null, false);
+
+      this._clients.delete(client);
+      member.pool.release(client, error, callback);
+    },
+
+    /**
+     * Drains a member pool and removes it from the cluster
+     * @param  {string}   name     the member name
+     * @param  {Function} callback called once removed, if omitted a Promise is returned
+     * @return {Promise}
+     */
+    remove : function(name, callback) {
+      if (! callback )
+        return utils.promisify(this.remove, this, [name]);
+
+      var member = this._members[name];
+
+      if (! member )
+        return callback(new PoolError("Removing Pool Error: The cluster has no pool named '" + name + "'"));
+
+      delete this._members[name];
+      member.pool.drain({ graceful: true }, callback);
+    },
+
+    /**
+     * Takes a member out of rotation until its cooldown is over
+     * @param  {object} member the member record
+     */
+    _takeOffline : function(member) {
+      if (member.offlineUntil)
+        return;
+
+      member.failures     = 0;
+      member.offlineUntil = this._clock.now() + this._cooldown;
+      this.emit('offline', { name: member.name, until: member.offlineUntil });
+    }
+  };
+
+  // Make the cluster an EventEmitter
+  Object.setPrototypeOf(cluster, EventEmitter.prototype);
+  EventEmitter.call(cluster);
+
+  return cluster;
+}
+
+PoolCluster.selectors = selectors;
@@ -0,0 +1,16 @@
+var PoolError = require('./PoolError');
+
+module.exports = QueueFullError;
+
+/**
+ * Error given to an acquire that would have to wait while the waiting queue is already full
+ * @param {string} msg    the error message
+ * @param {[type]} constr 
+ */
+function QueueFullError(msg, constr) {
+	PoolError.call(this, msg, constr || QueueFullError);
+}
+
+// Inherit from PoolError
+require('util').inherits(QueueFullError, PoolError);
+QueueFullError.prototype.name = 'QueueFullError';
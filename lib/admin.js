@@ -0,0 +1,154 @@
+var http    = require('http');
+var Pool    = require('./Pool');
+var metrics = require('./metrics');
+
+/**
+ * An opt-in admin endpoint for pools, it is never started on its own. Routes:
+ *
+ *   GET  /pools               inspect() of every pool
+ *   GET  /pools/:pool         inspect() of a pool, by name or id
+ *   POST /pools/:pool/drain   drains a pool, gracefully unless the JSON body says otherwise
+ *   POST /pools/:pool/resize  resizes a pool to the 'min' and 'max' in the JSON body
+ *   GET  /metrics             the metrics of every pool for Prometheus
+ */
+
+/**
+ * Sends a JSON response
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Decodes the segments of a request path
+ * @param  {string} path the path, without the prefix
+ * @return {Array}       the decoded segments, NULL if the path is malformed
+ */
+function segments(path) {
+  try {
+    return path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a JSON request body
+ * @param  {object}   req      the request
+ * @param  {Function} callback called with the parsed body, an empty body is {}
+ */
+function readBody(req, callback) {
+  var chunks = [];
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+    var body = Buffer.concat(chunks).toString();
+
+    try {
+      callback(null, body ? JSON.parse(body) : {});
+    } catch (error) {
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Creates a request handler for http.createServer() or a framework that takes (req, res)
+ * @param  {Array|Function} pools   optional, the pools or a function returning them, every live
+ *                                  pool by default
+ * @param  {object}         options optional, 'prefix' to mount the routes under, such as '/admin'
+ * @return {Function}               the handler
+ */
+exports.handler = function(pools, options) {
+  options = options || {};
+  pools   = pools || Pool.pools;
+
+  var prefix = options.prefix || '';
+
+  function list() {
+    return (typeof pools === 'function') ? pools() : pools;
+  }
+
+  function find(key) {
+    return list().filter(function(pool) {
+      return (pool._name === key) || (String(pool._id) === key);
+    })[0];
+  }
+
+  return function(req, res) {
+    var path = req.url.split('?')[0];
+
+    if (path.indexOf(prefix) !== 0)
+      return send(res, 404, { error: 'Not found' });
+
+    var parts = segments(path.slice(prefix.length));
+
+    if (! parts )
+      return send(res, 400, { error: 'Malformed path' });
+
+    if ( (parts.length === 1) && (parts[0] === 'metrics') ) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      return res.end(metrics.prometheus(list()));
+    }
+
+    if ( (parts[0] !== 'pools') || (parts.length > 3) )
+      return send(res, 404, { error: 'Not found' });
+
+    if (parts.length === 1) {
+      return send(res, 200, list().map(function(pool) {
+        return pool.inspect();
+      }));
+    }
+
+    var pool   = find(parts[1]);
+    var action = parts[2];
+
+    if (! pool )
+      return send(res, 404, { error: "No pool named '" + parts[1] + "'" });
+
+    if (! action ) {
+      if (req.method !== 'GET')
+        return send(res, 405, { error: 'Method not allowed' });
+
+      return send(res, 200, pool.inspect());
+    }
+
+    if ( (action !== 'drain') && (action !== 'resize') )
+      return send(res, 404, { error: 'Not found' });
+
+    if (req.method !== 'POST')
+      return send(res, 405, { error: 'Method not allowed' });
+
+    readBody(req, function(error, body) {
+      if (error)
+        return send(res, 400, { error: 'Invalid JSON body' });
+
+      // A graceful drain can take a while, so it is not waited for
+      if (action === 'drain') {
+        pool.drain(Object.assign({ graceful: true }, body), function() {});
+        return send(res, 202, pool.inspect());
+      }
+
+      pool.resize({ min: body.min, max: body.max }, function(error) {
+        if (error)
+          return send(res, 400, { error: error.message });
+
+        send(res, 200, pool.inspect());
+      });
+    });
+  };
+};
+
+/**
+ * Creates an HTTP server for the admin handler, it still has to be started with listen()
+ * @param  {Array|Function} pools   optional, the pools or a function returning them
+ * @param  {object}         options optional, the handler options
+ * @return {http.Server}
+ */
+exports.createServer = function(pools, options) {
+  return http.createServer(exports.handler(pools, options));
+};
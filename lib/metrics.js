@@ -0,0 +1,167 @@
+/**
+ * Upper bounds (in ms) of the histogram buckets
+ */
+var BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+exports.BUCKETS = BUCKETS;
+
+/**
+ * Histogram of durations
+ * @param {Array} buckets the bucket upper bounds in ms, defaults to BUCKETS
+ */
+function Histogram(buckets) {
+  this.buckets = buckets || BUCKETS;
+  this.counts  = this.buckets.map(function() { return 0; });
+  this.count   = 0;
+  this.sum     = 0;
+}
+
+/**
+ * Records a duration
+ * @param  {integer} value the duration in ms
+ */
+Histogram.prototype.observe = function(value) {
+  for (var i = 0; i < this.buckets.length; i++) {
+    if (value <= this.buckets[i])
+      this.counts[i]++;
+  }
+
+  this.count++;
+  this.sum += value;
+};
+
+/**
+ * Returns a copy of the histogram, the bucket counts are cumulative
+ * @return {object} with buckets, count and sum
+ */
+Histogram.prototype.snapshot = function() {
+  var buckets = {};
+
+  for (var i = 0; i < this.buckets.length; i++)
+    buckets[this.buckets[i]] = this.counts[i];
+
+  return {
+    buckets : buckets,
+    count   : this.count,
+    sum     : this.sum
+  };
+};
+
+exports.Histogram = Histogram;
+
+/**
+ * Collects the cumulative statistics of a pool from its events
+ * @param  {Pool}   pool the pool to collect from
+ * @return {object}      the statistics, updated as the pool emits events
+ */
+exports.collect = function(pool) {
+  var stats = {
+    created         : 0,
+    createErrors    : 0,
+    destroyed       : 0,
+    idleEvictions   : 0,
+    acquires        : 0,
+    acquireTimeouts : 0,
+    releases        : 0,
+    acquireWait     : new Histogram(),
+    borrowDuration  : new Histogram(),
+    createLatency   : new Histogram()
+  };
+
+  pool.on('create', function(info) {
+    stats.created++;
+    stats.createLatency.observe(info.duration);
+  });
+
+  pool.on('createError', function() {
+    stats.createErrors++;
+  });
+
+  pool.on('destroy', function() {
+    stats.destroyed++;
+  });
+
+  pool.on('idleEvict', function() {
+    stats.idleEvictions++;
+  });
+
+  pool.on('acquire', function(info) {
+    stats.acquires++;
+    stats.acquireWait.observe(info.wait);
+  });
+
+  pool.on('acquireTimeout', function() {
+    stats.acquireTimeouts++;
+  });
+
+  pool.on('release', function(info) {
+    stats.releases++;
+    stats.borrowDuration.observe(info.borrowed);
+  });
+
+  return stats;
+};
+
+/**
+ * Escapes a Prometheus label value
+ */
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders the metrics of pools in the Prometheus text exposition format
+ * @param  {Array}  pools the pools to render
+ * @return {string}
+ */
+exports.prometheus = function(pools) {
+  var snapshots = pools.map(function(pool) {
+    var stats = pool.stats();
+    stats.labels = 'pool="' + label(stats.name || '') + '",id="' + stats.id + '"';
+    return stats;
+  });
+
+  var lines = [];
+
+  function simple(name, type, help, key) {
+    lines.push('# HELP ' + name + ' ' + help);
+    lines.push('# TYPE ' + name + ' ' + type);
+    snapshots.forEach(function(stats) {
+      lines.push(name + '{' + stats.labels + '} ' + stats[key]);
+    });
+  }
+
+  function histogram(name, help, key) {
+    lines.push('# HELP ' + name + ' ' + help);
+    lines.push('# TYPE ' + name + ' histogram');
+    snapshots.forEach(function(stats) {
+      var histogram = stats[key];
+
+      Object.keys(histogram.buckets).forEach(function(bound) {
+        lines.push(name + '_bucket{' + stats.labels + ',le="' + (bound / 1000) + '"} ' + histogram.buckets[bound]);
+      });
+
+      lines.push(name + '_bucket{' + stats.labels + ',le="+Inf"} ' + histogram.count);
+      lines.push(name + '_sum{' + stats.labels + '} ' + (histogram.sum / 1000));
+      lines.push(name + '_count{' + stats.labels + '} ' + histogram.count);
+    });
+  }
+
+  simple('pool_clients', 'gauge', 'Clients in the pool, being created, available and active', 'totalCount');
+  simple('pool_clients_available', 'gauge', 'Idle clients in the pool', 'availableCount');
+  simple('pool_clients_active', 'gauge', 'Clients acquired from the pool', 'activeCount');
+  simple('pool_acquires_waiting', 'gauge', 'Acquires waiting for a client', 'waitingCount');
+  simple('pool_clients_pending', 'gauge', 'Clients being created', 'pendingCount');
+  simple('pool_created_total', 'counter', 'Clients created', 'created');
+  simple('pool_create_errors_total', 'counter', 'Failed client creates', 'createErrors');
+  simple('pool_destroyed_total', 'counter', 'Clients destroyed', 'destroyed');
+  simple('pool_idle_evictions_total', 'counter', 'Clients removed for being idle', 'idleEvictions');
+  simple('pool_acquires_total', 'counter', 'Clients acquired', 'acquires');
+  simple('pool_acquire_timeouts_total', 'counter', 'Acquires that timed out waiting for a client', 'acquireTimeouts');
+  simple('pool_releases_total', 'counter', 'Clients released', 'releases');
+  histogram('pool_acquire_wait_seconds', 'Time spent waiting for a client', 'acquireWait');
+  histogram('pool_borrow_duration_seconds', 'Time clients were held before release', 'borrowDuration');
+  histogram('pool_create_duration_seconds', 'Time taken to create a client', 'createLatency');
+
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,69 @@
+/**
+ * Dispensing strategies. Each one is a factory for a selector, which is given the idle resource
+ * records (in the order they were returned to the pool) and picks the one to dispense
+ */
+
+/**
+ * First in, first out: the client that has been idle the longest
+ */
+exports.fifo = function() {
+  return function(resources) {
+    return resources[0];
+  };
+};
+
+/**
+ * Last in, first out: the client returned most recently, so surplus clients go idle and get reaped
+ */
+exports.lifo = function() {
+  return function(resources) {
+    return resources[resources.length - 1];
+  };
+};
+
+/**
+ * Least recently used: the client borrowed the longest ago, clients never borrowed come first
+ */
+exports.lru = function() {
+  return function(resources) {
+    return resources.reduce(function(selected, resource) {
+      return ((resource.lastBorrowedAt || 0) < (selected.lastBorrowedAt || 0)) ? resource : selected;
+    });
+  };
+};
+
+/**
+ * Round robin: the clients take turns in the order they were created
+ */
+exports['round-robin'] = function() {
+  var lastId = 0;
+
+  return function(resources) {
+    var next = null;
+    var first = resources[0];
+
+    resources.forEach(function(resource) {
+      if ((resource.id > lastId) && (!next || resource.id < next.id))
+        next = resource;
+
+      if (resource.id < first.id)
+        first = resource;
+    });
+
+    next   = next || first;
+    lastId = next.id;
+
+    return next;
+  };
+};
+
+/**
+ * Least used: the client that has been borrowed the fewest times
+ */
+exports['least-used'] = function() {
+  return function(resources) {
+    return resources.reduce(function(selected, resource) {
+      return (resource.useCount < selected.useCount) ? resource : selected;
+    });
+  };
+};
@@ -0,0 +1,191 @@
+var utils = require('./utils');
+
+/**
+ * Helpers for testing code that uses a pool, and the pool itself, without real resources or
+ * real timers
+ */
+
+/**
+ * Creates a fake clock. Pass it as the 'clock' option and time only moves when tick() is called
+ * @param  {integer} now optional, the starting time in ms
+ * @return {object}      the clock
+ */
+function FakeClock(now) {
+  var clock = {
+
+    // Timers ordered by when they are due
+    _timers : [],
+    _nextId : 1,
+    _now    : now || 0,
+
+    /**
+     * Cancels a timer
+     * @param  {integer} timer the timer id
+     */
+    clearTimeout : function(timer) {
+      this._timers = this._timers.filter(function(entry) {
+        return entry.id !== timer;
+      });
+    },
+
+    /**
+     * Returns the current time in ms
+     * @return {integer}
+     */
+    now : function() {
+      return this._now;
+    },
+
+    /**
+     * Returns the number of timers that have not fired yet
+     * @return {integer}
+     */
+    pendingTimers : function() {
+      return this._timers.length;
+    },
+
+    /**
+     * Schedules a function to run once the clock has moved 'delay' ms forward
+     * @param  {Function} fn    the function
+     * @param  {integer}  delay the delay in ms
+     * @return {integer}        the timer id
+     */
+    setTimeout : function(fn, delay) {
+      var entry = { id: this._nextId++, fn: fn, due: this._now + (delay || 0) };
+      var index = this._timers.length;
+
+      // Timers due at the same time fire in the order they were set
+      while ( (index > 0) && (this._timers[index - 1].due > entry.due) )
+        index--;
+
+      this._timers.splice(index, 0, entry);
+      return entry.id;
+    },
+
+    /**
+     * Moves the clock forward, firing the timers that come due on the way in order, including
+     * the ones they set
+     * @param  {integer} ms how far to move in ms
+     */
+    tick : function(ms) {
+      var until = this._now + ms;
+
+      while ( (this._timers.length > 0) && (this._timers[0].due <= until) ) {
+        var entry = this._timers.shift();
+
+        this._now = entry.due;
+        entry.fn();
+      }
+
+      this._now = until;
+    }
+  };
+
+  return clock;
+}
+
+exports.FakeClock = FakeClock;
+
+/**
+ * Creates a fake resource to give a pool as its 'create', 'destroy' and 'validate' options.
+ * The failure settings can be changed at any time
+ * @param  {object} options optional, 'clock' to time the latency with, 'latency' ms each create
+ *                          takes, 'failCreates' number of creates to fail, 'hangCreates' to never
+ *                          call back from creates, 'failValidations' number of validations to
+ *                          fail and 'destroyError' to fail destroys
+ * @return {object}         the fake resource, with 'created', 'destroyed', 'validated' counts and
+ *                          the 'live' clients
+ */
+function FakeResource(options) {
+  options = options || {};
+
+  var fake = {
+    clock           : options.clock || utils.clock,
+    latency         : options.latency || 0,
+    failCreates     : options.failCreates || 0,
+    hangCreates     : options.hangCreates || false,
+    failValidations : options.failValidations || 0,
+    destroyError    : options.destroyError || false,
+
+    created   : 0,
+    destroyed : 0,
+    validated : 0,
+    live      : [],
+    hung      : [],
+
+    /**
+     * Creates a client, a plain object with an 'id' that fails validation once 'valid' is FALSE
+     * @param  {Function} callback called with the client
+     */
+    create : function(callback) {
+      if (fake.hangCreates)
+        return fake.hung.push(callback);
+
+      function done() {
+        if (fake.failCreates > 0) {
+          fake.failCreates--;
+          return callback(new Error('Fake create failure'));
+        }
+
+        var client = { id: ++fake.created, valid: true };
+
+        fake.live.push(client);
+        callback(null, client);
+      }
+
+      if (fake.latency)
+        return fake.clock.setTimeout(done, fake.latency);
+
+      done();
+    },
+
+    /**
+     * Destroys a client
+     * @param  {object}   client   the client
+     * @param  {Function} callback called once destroyed
+     */
+    destroy : function(client, callback) {
+      var index = fake.live.indexOf(client);
+
+      if (index >= 0)
+        fake.live.splice(index, 1);
+
+      fake.destroyed++;
+      callback(fake.destroyError ? new Error('Fake destroy failure') : null, true);
+    },
+
+    /**
+     * Lets the hung creates finish
+     */
+    resumeHung : function() {
+      var hung = fake.hung;
+
+      fake.hung        = [];
+      fake.hangCreates = false;
+
+      hung.forEach(function(callback) {
+        fake.create(callback);
+      });
+    },
+
+    /**
+     * Validates a client
+     * @param  {object}   client   the client
+     * @param  {Function} callback called with whether it is valid
+     */
+    validate : function(client, callback) {
+      fake.validated++;
+
+      if (fake.failValidations > 0) {
+        fake.failValidations--;
+        return callback(null, false);
+      }
+
+      callback(null, client.valid);
+    }
+  };
+
+  return fake;
+}
+
+exports.FakeResource = FakeResource;
@@ -0,0 +1,78 @@
+/**
+ * Calls a callback style function, returning a Promise of its result
+ * @param  {Function} fn      the function to call, its last argument must be a node style callback
+ * @param  {object}   context the value of 'this' inside fn
+ * @param  {Array}    args    the arguments to call fn with, the callback is appended
+ * @return {Promise}
+ */
+exports.promisify = function(fn, context, args) {
+  args = args ? args.slice() : [];
+
+  return new Promise(function(resolve, reject) {
+    args.push(function(error, result) {
+      if (error)
+        return reject(error);
+
+      resolve(result);
+    });
+
+    fn.apply(context, args);
+  });
+};
+
+/**
+ * Calculates an exponential backoff delay
+ * @param  {integer} attempt the number of attempts that already failed, starting at 0
+ * @param  {integer} base    the delay in ms for the first retry
+ * @param  {integer} max     the longest delay in ms
+ * @param  {number}  jitter  fraction (0 to 1) of the delay to randomly take off
+ * @return {integer}         the delay in ms
+ */
+exports.backoff = function(attempt, base, max, jitter) {
+  var delay = Math.min(max, base * Math.pow(2, attempt));
+  return Math.round(delay - (delay * (jitter || 0) * Math.random()));
+};
+
+/**
+ * Adds a request to a waiting queue behind every request with the same or a higher priority
+ * @param  {Array}  queue   the waiting requests, highest priority first
+ * @param  {object} request the request, its 'priority' defaults to 0
+ */
+exports.enqueue = function(queue, request) {
+  var index = queue.length;
+
+  while ( (index > 0) && ((queue[index - 1].priority || 0) < (request.priority || 0)) )
+    index--;
+
+  queue.splice(index, 0, request);
+};
+
+/**
+ * The system clock. A pool takes its time and timers from a clock like this one, so that tests
+ * can swap in a fake one (see lib/testing.js)
+ */
+exports.clock = {
+  now : function() {
+    return Date.now();
+  },
+
+  setTimeout : function(fn, delay) {
+    return setTimeout(fn, delay);
+  },
+
+  clearTimeout : function(timer) {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Lets the process exit while a timer is pending, timers of a fake clock are left as they are
+ * @param  {object} timer the timer
+ * @return {object}       the timer
+ */
+exports.unref = function(timer) {
+  if (timer && (typeof timer.unref === 'function'))
+    timer.unref();
+
+  return timer;
+};
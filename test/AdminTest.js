@@ -0,0 +1,131 @@
+var should = require('should');
+var http   = require('http');
+var Pool   = require('../lib/Pool');
+var admin  = require('../lib/admin');
+var async  = require('async');
+
+describe('admin', function() {
+  var pools, server, port;
+
+  function request(method, path, body, callback) {
+    var req = http.request({ port: port, method: method, path: path }, function(res) {
+      var data = '';
+
+      res.on('data', function(chunk) { data += chunk; });
+      res.on('end', function() {
+        var json = /json/.test(res.headers['content-type']);
+        callback(null, res.statusCode, json ? JSON.parse(data) : data);
+      });
+    });
+
+    req.on('error', callback);
+    req.end(body);
+  }
+
+  beforeEach(function(done) {
+    async.map(['primary', 'replica'], function(name, callback) {
+      Pool({
+        name    : name,
+        create  : function(callback) { callback(null, {}); },
+        destroy : function(client, callback) { callback(null, true); },
+        min     : 1,
+        max     : 4
+      }, callback);
+    }, function(error, result) {
+      pools  = result;
+      server = admin.createServer(pools, { prefix: '/admin' });
+
+      server.listen(0, '127.0.0.1', function() {
+        port = server.address().port;
+        done(error);
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    server.close(function() {
+      async.each(pools, function(pool, callback) {
+        pool.drain(callback);
+      }, done);
+    });
+  });
+
+  it('should list every pool', function(done) {
+    request('GET', '/admin/pools', null, function(error, status, body) {
+      status.should.equal(200);
+      body.map(function(pool) { return pool.name; }).should.eql(['primary', 'replica']);
+      body[0].resources.length.should.equal(1);
+      done(error);
+    });
+  });
+
+  it('should show a pool by name or id', function(done) {
+    request('GET', '/admin/pools/' + pools[1]._id, null, function(error, status, body) {
+      status.should.equal(200);
+      body.name.should.equal('replica');
+
+      request('GET', '/admin/pools/nope', null, function(error, status) {
+        status.should.equal(404);
+        done(error);
+      });
+    });
+  });
+
+  it('should resize a pool', function(done) {
+    request('POST', '/admin/pools/primary/resize', JSON.stringify({ min: 2, max: 8 }), function(error, status, body) {
+      status.should.equal(200);
+      body.min.should.equal(2);
+      body.max.should.equal(8);
+      pools[0].totalCount().should.equal(2);
+
+      request('POST', '/admin/pools/primary/resize', JSON.stringify({ min: 9 }), function(error, status, body) {
+        status.should.equal(400);
+        body.error.should.match(/Invalid min/);
+        done(error);
+      });
+    });
+  });
+
+  it('should reject sizes that are not integers', function(done) {
+    request('POST', '/admin/pools/primary/resize', JSON.stringify({ max: 'abc' }), function(error, status, body) {
+      status.should.equal(400);
+      body.error.should.match(/integers/);
+      pools[0]._max.should.equal(4);
+      done(error);
+    });
+  });
+
+  it('should answer a malformed path with a 400', function(done) {
+    request('GET', '/admin/pools/%E0%A4%A', null, function(error, status) {
+      status.should.equal(400);
+      done(error);
+    });
+  });
+
+  it('should drain a pool gracefully', function(done) {
+    request('POST', '/admin/pools/replica/drain', '', function(error, status) {
+      status.should.equal(202);
+
+      setImmediate(function() {
+        pools[1]._closed.should.be.true();
+        pools[0]._closed.should.be.false();
+        done(error);
+      });
+    });
+  });
+
+  it('should only accept POST for actions', function(done) {
+    request('GET', '/admin/pools/primary/drain', null, function(error, status) {
+      status.should.equal(405);
+      done(error);
+    });
+  });
+
+  it('should serve the metrics for Prometheus', function(done) {
+    request('GET', '/admin/metrics', null, function(error, status, body) {
+      status.should.equal(200);
+      body.should.match(/pool_clients\{pool="primary",id="\d+"\} 1/);
+      done(error);
+    });
+  });
+});
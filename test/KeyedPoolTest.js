@@ -0,0 +1,298 @@
+var should              = require('should');
+var KeyedPool           = require('../lib/KeyedPool');
+var PoolError           = require('../lib/PoolError');
+var AcquireTimeoutError = require('../lib/AcquireTimeoutError');
+var AcquireAbortedError = require('../lib/AcquireAbortedError');
+var QueueFullError      = require('../lib/QueueFullError');
+var async               = require('async');
+
+describe('KeyedPool', function() {
+  var keyed;
+
+  function setup(options) {
+    keyed = KeyedPool(Object.assign({
+      create  : function(key, callback) {
+        callback(null, { key: key });
+      },
+      destroy : function(client, callback) { callback(null, true); }
+    }, options));
+  }
+
+  afterEach(function(done) {
+    keyed.drain(done);
+  });
+
+  it('should throw without create or destroy', function() {
+    (function() {
+      KeyedPool({ destroy: function() {} });
+    }).should.throw(PoolError);
+    setup();
+  });
+
+  it('should throw with min and maxTotal', function() {
+    (function() {
+      setup({ min: 2, maxTotal: 3 });
+    }).should.throw(PoolError);
+    setup();
+  });
+
+  it('should create a sub-pool per key on first acquire', function(done) {
+    setup();
+
+    keyed.keys().should.eql([]);
+
+    keyed.acquire('tenant-a', function(error, client) {
+      should.not.exist(error);
+      client.key.should.eql('tenant-a');
+
+      keyed.acquire('tenant-b', function(error, client) {
+        client.key.should.eql('tenant-b');
+        keyed.keys().should.eql(['tenant-a', 'tenant-b']);
+        keyed.totalCount().should.eql(2);
+        keyed.activeCount().should.eql(2);
+        done();
+      });
+    });
+  });
+
+  it('should reuse clients released for the same key', function(done) {
+    setup();
+
+    keyed.acquire('a', function(error, client) {
+      keyed.release('a', client, function(error) {
+        should.not.exist(error);
+        keyed.availableCount().should.eql(1);
+
+        keyed.acquire('a', function(error, again) {
+          again.should.equal(client);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should call back FALSE releasing to a key with no pool', function(done) {
+    setup();
+
+    keyed.release('nope', {}, function(error, released) {
+      should.not.exist(error);
+      released.should.be.false();
+      done();
+    });
+  });
+
+  it('should limit clients per key with max', function(done) {
+    setup({ max: 1 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('a', function(error, again) {
+        again.should.equal(client);
+        done();
+      });
+
+      keyed.pool('a').waitingCount().should.eql(1);
+
+      // Other keys are not held up
+      keyed.acquire('b', function(error, other) {
+        other.key.should.eql('b');
+        keyed.release('a', client, function() {});
+      });
+    });
+  });
+
+  it('should wait for room under maxTotal and serve keys in order', function(done) {
+    setup({ maxTotal: 2 });
+
+    var order = [];
+
+    async.times(2, function(n, next) {
+      keyed.acquire('a', next);
+    }, function(error, clients) {
+      keyed.acquire('b', function(error, client) {
+        order.push(client.key);
+      });
+
+      keyed.acquire('c', function(error, client) {
+        order.push(client.key);
+        order.should.eql(['b', 'c']);
+        keyed.totalCount().should.eql(2);
+        done();
+      });
+
+      keyed.waitingCount().should.eql(2);
+
+      // Released clients go idle, then make way for the other keys
+      keyed.release('a', clients[0], function() {
+        order.should.eql(['b']);
+        keyed.release('a', clients[1], function() {});
+      });
+    });
+  });
+
+  it('should not go over maxTotal serving an acquire waiting on the max of its key', function(done) {
+    var live = 0;
+    var peak = 0;
+
+    setup({
+      max      : 1,
+      maxTotal : 2,
+      create   : function(key, callback) {
+        peak = Math.max(peak, ++live);
+        callback(null, { key: key });
+      },
+      destroy  : function(client, callback) {
+        live--;
+        callback(null, true);
+      }
+    });
+
+    keyed.acquire('a', function(error, a1) {
+      keyed.acquire('a', function(error, a2) {
+        a2.should.not.equal(a1);
+      });
+
+      keyed.acquire('b', function(error, b1) {
+        keyed.acquire('c', function(error, c1) {
+          c1.key.should.eql('c');
+          peak.should.equal(2);
+          done();
+        });
+
+        setImmediate(function() {
+          keyed.waitingCount().should.eql(2);
+
+          // Frees the slot of 'a' for the acquire waiting on it, 'c' waits for room under maxTotal
+          keyed.release('a', a1, new Error('broken'), function() {
+            peak.should.equal(2);
+            keyed.totalCount().should.eql(2);
+            keyed.release('b', b1, new Error('broken'), function() {});
+          });
+        });
+      });
+    });
+  });
+
+  it('should evict idle clients of other keys to make room', function(done) {
+    setup({ maxTotal: 1 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.release('a', client, function() {
+        keyed.acquire('b', function(error, client) {
+          client.key.should.eql('b');
+          keyed.pool('a').totalCount().should.eql(0);
+          keyed.totalCount().should.eql(1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should time out acquires waiting for room', function(done) {
+    setup({ maxTotal: 1, acquireTimeout: 50 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('b', function(error) {
+        error.should.be.an.instanceOf(AcquireTimeoutError);
+        keyed.waitingCount().should.eql(0);
+        done();
+      });
+    });
+  });
+
+  it('should fail acquires at once when the waiting queue is full', function(done) {
+    setup({ maxTotal: 1, maxWaitingClients: 1 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('b', function() {});
+
+      keyed.acquire('c', function(error) {
+        error.should.be.an.instanceOf(QueueFullError);
+        keyed.waitingCount().should.eql(1);
+        done();
+      });
+    });
+  });
+
+  it('should take an aborted acquire out of the waiting queue', function(done) {
+    setup({ maxTotal: 1 });
+
+    var controller = new AbortController();
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('b', { signal: controller.signal }, function(error) {
+        error.should.be.an.instanceOf(AcquireAbortedError);
+        keyed.waitingCount().should.eql(0);
+        done();
+      });
+
+      controller.abort();
+    });
+  });
+
+  it('should stop listening to the signal once the acquire is served', function(done) {
+    setup({ maxTotal: 1 });
+
+    var controller = new AbortController();
+    var listeners  = 0;
+    var add        = controller.signal.addEventListener;
+    var remove     = controller.signal.removeEventListener;
+
+    controller.signal.addEventListener = function(type, listener) {
+      listeners++;
+      add.call(this, type, listener);
+    };
+
+    controller.signal.removeEventListener = function(type, listener) {
+      listeners--;
+      remove.call(this, type, listener);
+    };
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('b', { signal: controller.signal }, function(error, other) {
+        should.not.exist(error);
+        other.key.should.eql('b');
+        listeners.should.equal(0);
+        done();
+      });
+
+      keyed.release('a', client, new Error('broken'), function() {});
+    });
+  });
+
+  it('should remove the sub-pool of a key once it has been empty for keyIdleTimeout', function(done) {
+    setup({ keyIdleTimeout: 20 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.release('a', client, new Error('broken'), function() {
+        keyed.keys().should.eql(['a']);
+
+        setTimeout(function() {
+          keyed.keys().should.eql([]);
+          done();
+        }, 50);
+      });
+    });
+  });
+
+  it('should fail waiting acquires when drained', function(done) {
+    setup({ maxTotal: 1 });
+
+    keyed.acquire('a', function(error, client) {
+      keyed.acquire('b', function(error) {
+        error.should.be.an.instanceOf(PoolError);
+        done();
+      });
+
+      keyed.drain(function() {});
+    });
+  });
+
+  it('should return a Promise without a callback', function() {
+    setup();
+
+    return keyed.acquire('a').then(function(client) {
+      client.key.should.eql('a');
+      return keyed.release('a', client);
+    });
+  });
+});
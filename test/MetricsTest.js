@@ -0,0 +1,96 @@
+var should  = require('should');
+var Pool    = require('../lib/Pool');
+var metrics = require('../lib/metrics');
+
+describe('metrics', function() {
+  var pool;
+
+  beforeEach(function(done) {
+    Pool({
+      name           : 'Metrics "Pool"',
+      create         : function(callback) { setTimeout(function() { callback(null, {}); }, 5); },
+      destroy        : function(client, callback) { callback(null, true); },
+      max            : 1,
+      acquireTimeout : 10
+    }, function(error, result) {
+      pool = result;
+      done(error);
+    });
+  });
+
+  describe('Histogram', function() {
+    it('should count values into cumulative buckets', function() {
+      var histogram = new metrics.Histogram([10, 100]);
+      histogram.observe(5);
+      histogram.observe(50);
+      histogram.observe(500);
+
+      histogram.snapshot().should.eql({
+        buckets : { 10: 1, 100: 2 },
+        count   : 3,
+        sum     : 555
+      });
+    });
+  });
+
+  describe('stats()', function() {
+    it('should return the counts and cumulative statistics', function(done) {
+      pool.acquire(function(error, client) {
+        pool.acquire(function(error) {
+          pool.release(client, function() {
+            var stats = pool.stats();
+            stats.name.should.equal('Metrics "Pool"');
+            stats.totalCount.should.equal(1);
+            stats.availableCount.should.equal(1);
+            stats.activeCount.should.equal(0);
+            stats.waitingCount.should.equal(0);
+            stats.created.should.equal(1);
+            stats.acquires.should.equal(1);
+            stats.acquireTimeouts.should.equal(1);
+            stats.releases.should.equal(1);
+            stats.acquireWait.count.should.equal(1);
+            stats.borrowDuration.count.should.equal(1);
+            stats.createLatency.count.should.equal(1);
+            stats.createLatency.sum.should.be.aboveOrEqual(4);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not change once taken', function(done) {
+      var stats = pool.stats();
+
+      pool.acquire(function() {
+        stats.acquires.should.equal(0);
+        stats.acquireWait.count.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('prometheus()', function() {
+    it('should render the metrics of every pool', function(done) {
+      pool.acquire(function(error, client) {
+        pool.release(client, function() {
+          var text = Pool.prometheus([pool]);
+          var labels = 'pool="Metrics \\"Pool\\"",id="' + pool._id + '"';
+
+          text.should.containEql('# TYPE pool_clients gauge\n');
+          text.should.containEql('pool_clients_available{' + labels + '} 1\n');
+          text.should.containEql('# TYPE pool_created_total counter\n');
+          text.should.containEql('pool_created_total{' + labels + '} 1\n');
+          text.should.containEql('# TYPE pool_acquire_wait_seconds histogram\n');
+          text.should.containEql('pool_acquire_wait_seconds_bucket{' + labels + ',le="+Inf"} 1\n');
+          text.should.containEql('pool_borrow_duration_seconds_count{' + labels + '} 1\n');
+          text.should.match(/pool_create_duration_seconds_bucket\{[^}]*,le="0\.005"\} [01]\n/);
+          done();
+        });
+      });
+    });
+
+    it('should render every live pool by default', function() {
+      Pool.prometheus().should.containEql('pool_clients{pool="Metrics \\"Pool\\"",id="' + pool._id + '"}');
+    });
+  });
+});
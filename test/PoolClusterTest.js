@@ -0,0 +1,203 @@
+var should      = require('should');
+var PoolCluster = require('../lib/PoolCluster');
+var PoolError   = require('../lib/PoolError');
+var testing     = require('../lib/testing');
+var async       = require('async');
+
+describe('PoolCluster', function() {
+  var cluster, down;
+
+  // Clients remember the member they came from
+  function member(name, weight) {
+    return function(callback) {
+      cluster.add(name, {
+        create  : function(callback) {
+          if (down[name])
+            return callback(new Error(name + ' is down'));
+
+          callback(null, { host: name });
+        },
+        destroy : function(client, callback) { callback(null, true); },
+        weight  : weight
+      }, callback);
+    };
+  }
+
+  function hosts(pattern, times, callback) {
+    async.timesSeries(times, function(n, next) {
+      cluster.acquire(pattern, function(error, client) {
+        if (error)
+          return next(error);
+
+        cluster.release(client, function(error) {
+          next(error, client.host);
+        });
+      });
+    }, callback);
+  }
+
+  function setup(options, done) {
+    down    = {};
+    cluster = PoolCluster(options);
+
+    async.series([
+      member('primary', 1),
+      member('replica-1', 1),
+      member('replica-2', 3)
+    ], done);
+  }
+
+  afterEach(function(done) {
+    cluster.drain(done);
+  });
+
+  it('should throw on an unknown selector', function() {
+    (function() {
+      PoolCluster({ selector: 'fastest' });
+    }).should.throw(PoolError);
+    cluster = PoolCluster();
+  });
+
+  it('should round robin across every member by default', function(done) {
+    setup({}, function(error) {
+      hosts(null, 4, function(error, order) {
+        order.should.eql(['primary', 'replica-1', 'replica-2', 'primary']);
+        done(error);
+      });
+    });
+  });
+
+  it('should only use members matching the pattern', function(done) {
+    setup({}, function(error) {
+      hosts('replica-*', 4, function(error, order) {
+        order.should.eql(['replica-1', 'replica-2', 'replica-1', 'replica-2']);
+        done(error);
+      });
+    });
+  });
+
+  it('should pick random members', function(done) {
+    setup({ selector: 'random' }, function(error) {
+      hosts('replica-*', 20, function(error, order) {
+        order.forEach(function(host) {
+          host.should.match(/^replica-/);
+        });
+        done(error);
+      });
+    });
+  });
+
+  it('should pick members in proportion to their weight', function(done) {
+    setup({ selector: 'weighted' }, function(error) {
+      hosts('replica-*', 200, function(error, order) {
+        var heavy = order.filter(function(host) { return host === 'replica-2'; }).length;
+        heavy.should.be.above(100);
+        done(error);
+      });
+    });
+  });
+
+  it('should use a custom selector function', function(done) {
+    setup({ selector: function(members) { return members[members.length - 1]; } }, function(error) {
+      hosts(null, 2, function(error, order) {
+        order.should.eql(['replica-2', 'replica-2']);
+        done(error);
+      });
+    });
+  });
+
+  it('should fail over to another member when acquiring fails', function(done) {
+    setup({}, function(error) {
+      down.primary = true;
+
+      hosts(null, 1, function(error, order) {
+        order[0].should.match(/^replica-/);
+        done(error);
+      });
+    });
+  });
+
+  it('should fail when no member matches', function(done) {
+    setup({}, function(error) {
+      cluster.acquire('standby-*', function(error) {
+        error.should.be.instanceof(PoolError);
+        done();
+      });
+    });
+  });
+
+  it('should take a member out of rotation and reinstate it after the cooldown', function(done) {
+    var clock = testing.FakeClock();
+
+    setup({ maxFailures: 2, cooldown: 30, clock: clock }, function(error) {
+      var events = [];
+
+      cluster.on('offline', function(info) { events.push('offline ' + info.name); });
+      cluster.on('online', function(info) { events.push('online ' + info.name); });
+
+      down['replica-1'] = true;
+
+      async.timesSeries(2, function(n, next) {
+        cluster.acquire('replica-1', function(error) {
+          error.message.should.equal('replica-1 is down');
+          next();
+        });
+      }, function() {
+        hosts('replica-1', 1, function(error) {
+          error.message.should.match(/No online pools/);
+          events.should.eql(['offline replica-1']);
+          down['replica-1'] = false;
+
+          clock.tick(29);
+          hosts('replica-1', 1, function(error) {
+            error.message.should.match(/No online pools/);
+
+            clock.tick(1);
+            hosts('replica-1', 1, function(error, order) {
+              order.should.eql(['replica-1']);
+              events.should.eql(['offline replica-1', 'online replica-1']);
+              done(error);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should release clients to the pool they came from', function(done) {
+    setup({}, function(error) {
+      cluster.acquire('replica-2', function(error, client) {
+        cluster.get('replica-2').activeCount().should.equal(1);
+
+        cluster.release(client, function(error) {
+          should.not.exist(error);
+          cluster.get('replica-2').availableCount().should.equal(1);
+
+          cluster.release(client, function(error, released) {
+            should.not.exist(error);
+            released.should.be.false();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should remove a member', function() {
+    cluster = PoolCluster();
+
+    return cluster.add('primary', {
+      create  : function(callback) { callback(null, {}); },
+      destroy : function(client, callback) { callback(null, true); }
+    }).then(function() {
+      return cluster.remove('primary');
+    }).then(function() {
+      should.not.exist(cluster.get('primary'));
+      return cluster.acquire();
+    }).then(function() {
+      throw new Error('Should have rejected');
+    }, function(error) {
+      error.should.be.instanceof(PoolError);
+    });
+  });
+});
@@ -1,8 +1,14 @@
-var should    = require('should');
-var Db        = require('../models/Db');
-var Pool      = require('../lib/Pool');
-var PoolError = require('../lib/PoolError');
-var async     = require('async');
+var should              = require('should');
+var Db                  = require('../models/Db');
+var Pool                = require('../lib/Pool');
+var PoolError           = require('../lib/PoolError');
+var AcquireTimeoutError = require('../lib/AcquireTimeoutError');
+var AcquireAbortedError = require('../lib/AcquireAbortedError');
+var QueueFullError      = require('../lib/QueueFullError');
+var CircuitOpenError    = require('../lib/CircuitOpenError');
+var testing             = require('../lib/testing');
+var async               = require('async');
+var EventEmitter        = require('events').EventEmitter;
 
 describe('Pool', function() {
   before(function(done) {
@@ -27,6 +33,24 @@ describe('Pool', function() {
     });
   }); 
 
+  var clock, fake;
+
+  // Creates a pool of fake clients on a fake clock, 'fake' holds the FakeResource options
+  function fakePool(options, callback) {
+    clock = testing.FakeClock();
+    fake  = testing.FakeResource(Object.assign({ clock: clock }, options.fake));
+
+    options = Object.assign({
+      create   : fake.create,
+      destroy  : fake.destroy,
+      validate : fake.validate,
+      clock    : clock
+    }, options);
+    delete options.fake;
+
+    return Pool(options, callback);
+  }
+
   it('should reject with an error if create is not specified', function(done) {
     Pool({destroy: function(callback) { callback(null, true); }}, function(error, pool) {
       should.exist(error);
@@ -64,7 +88,7 @@ describe('Pool', function() {
   it('should set the options correctly', function(done) {
     Pool({
       name:        'Test Pool',
-      create:      function(callback) { callback(null, true); },
+      create:      function(callback) { callback(null, {}); },
       destroy:      function(callback) { callback(null, true); },
       min:         2,
       max:         5,
@@ -83,7 +107,7 @@ describe('Pool', function() {
   it('should create minimum clients when min is set in options', function(done) {
     Pool({
       name:        'Test Pool',
-      create:      function(callback) { callback(null, true); },
+      create:      function(callback) { callback(null, {}); },
       destroy:      function(callback) { callback(null, true); },
       min:         2
     }, function(error, pool) { 
@@ -113,6 +137,8 @@ describe('Pool', function() {
   });
 
   it('should destroy any idle clients from pool', function(done) {
+    this.timeout(5000);
+
     var idlePool, client1, client2, client3;
     async.series({
       pool: function(callback) {
@@ -145,8 +171,9 @@ describe('Pool', function() {
           pool.release(results.client3);
           pool.release(results.client4);
           setTimeout(function(id) {
-            pool.totalCount().should.equal(0);
-            pool.availableCount().should.equal(0);
+            // Topped back up to min
+            pool.totalCount().should.equal(2);
+            pool.availableCount().should.equal(2);
             pool.activeCount().should.equal(0);
             clearTimeout(id);
             done();
@@ -156,6 +183,25 @@ describe('Pool', function() {
   });
 
   describe('drain()', function() {
+    it('should fail waiting acquires', function(done) {
+      Pool({
+        create: function(callback) { callback(null, {}); },
+        destroy: function(client, callback) { callback(null, true); },
+        max: 1
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.acquire(function(error, client) {
+            should.exist(error);
+            error.should.be.instanceof(PoolError);
+            pool.waitingCount().should.equal(0);
+            done();
+          });
+
+          pool.drain();
+        });
+      });
+    });
+
     it('should drain all clients regardless of state', function(done) {
       async.parallel([
         function(callback) { mainPool.acquire(callback); },
@@ -178,6 +224,200 @@ describe('Pool', function() {
     });
   });
 
+  describe('drain({ graceful: true })', function() {
+    var pool, destroyed;
+
+    beforeEach(function(done) {
+      destroyed = [];
+
+      Pool({
+        create: function(callback) { callback(null, {}); },
+        destroy: function(client, callback) { destroyed.push(client); callback(null, true); },
+        max: 2
+      }, function(error, result) {
+        pool = result;
+        done(error);
+      });
+    });
+
+    it('should fail waiting acquires with a PoolError', function(done) {
+      async.parallel([
+        function(callback) { pool.acquire(callback); },
+        function(callback) { pool.acquire(callback); }
+      ], function(error, clients) {
+        pool.acquire(function(error, client) {
+          should.exist(error);
+          error.should.be.instanceof(PoolError);
+          error.message.should.match(/draining/);
+          done();
+        });
+
+        pool.drain({ graceful: true }, function() {});
+      });
+    });
+
+    it('should wait for active clients and destroy them on release', function(done) {
+      var drained = false;
+
+      pool.acquire(function(error, client) {
+        pool.drain({ graceful: true }, function() {
+          drained = true;
+        });
+
+        destroyed.length.should.equal(0);
+        drained.should.be.false;
+
+        pool.acquire(function(error) {
+          error.should.be.instanceof(PoolError);
+
+          pool.release(client, function(error) {
+            should.not.exist(error);
+            destroyed.should.eql([client]);
+            drained.should.be.true;
+            pool.totalCount().should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should destroy idle clients straight away', function() {
+      return pool.acquire().then(function(client) {
+        return pool.release(client);
+      }).then(function() {
+        pool.availableCount().should.equal(1);
+        return pool.drain({ graceful: true });
+      }).then(function() {
+        destroyed.length.should.equal(1);
+        pool.totalCount().should.equal(0);
+      });
+    });
+
+    it('should force destroy active clients after the timeout', function(done) {
+      pool.acquire(function(error, client) {
+        pool.drain({ graceful: true, timeout: 20 }, function() {
+          destroyed.should.eql([client]);
+          pool.activeCount().should.equal(0);
+
+          // Releasing the destroyed client is harmless
+          pool.release(client, function(error) {
+            should.not.exist(error);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should close once a create it waits for fails', function(done) {
+      var fake = testing.FakeResource({ hangCreates: true });
+
+      Pool({ create: fake.create, destroy: fake.destroy }, function(error, failing) {
+        var failed = false;
+
+        failing.acquire(function(error) {
+          error.message.should.equal('Fake create failure');
+          failed = true;
+        });
+
+        failing.drain({ graceful: true }, function() {
+          failed.should.be.true();
+          failing._closed.should.be.true();
+          Pool.pools().should.not.containEql(failing);
+          done();
+        });
+
+        fake.failCreates = 1;
+        fake.resumeHung();
+      });
+    });
+
+    it('should destroy clients stuck in validation after the timeout', function(done) {
+      var clock = testing.FakeClock();
+      var fake  = testing.FakeResource({ clock: clock });
+
+      Pool({
+        create       : fake.create,
+        destroy      : fake.destroy,
+        validate     : function(client, callback) {},
+        testOnReturn : true,
+        clock        : clock
+      }, function(error, stuck) {
+        stuck.acquire(function(error, client) {
+          stuck.release(client, function() {});
+
+          stuck.drain({ graceful: true, timeout: 100 }, function() {
+            fake.destroyed.should.equal(1);
+            stuck._closed.should.be.true();
+            done();
+          });
+
+          clock.tick(100);
+        });
+      });
+    });
+
+    it('should stop waiting for hung creates after the timeout', function(done) {
+      var clock = testing.FakeClock();
+      var fake  = testing.FakeResource({ clock: clock, hangCreates: true });
+
+      Pool({ create: fake.create, destroy: fake.destroy, clock: clock }, function(error, hung) {
+        var drained = false;
+
+        hung.acquire(function(error) {
+          error.should.be.instanceof(PoolError);
+          drained.should.be.true();
+          fake.destroyed.should.equal(1);
+          fake.live.should.eql([]);
+          done();
+        });
+
+        hung.drain({ graceful: true, timeout: 100 }, function() {
+          drained = true;
+        });
+
+        clock.tick(100);
+        drained.should.be.true();
+        hung._closed.should.be.true();
+
+        // The create finishes after all, the client is thrown away
+        fake.resumeHung();
+      });
+    });
+
+    it('should apply the timeout of a drain called while draining', function(done) {
+      pool.acquire(function(error, client) {
+        var first = false;
+
+        pool.drain({ graceful: true }, function() {
+          first = true;
+        });
+
+        pool.drain({ graceful: true, timeout: 20 }, function() {
+          first.should.be.true();
+          destroyed.should.eql([client]);
+          done();
+        });
+      });
+    });
+
+    it('should close the pool for good', function(done) {
+      pool.drain({ graceful: true }, function() {
+        pool.acquire(function(error, client) {
+          should.exist(error);
+          error.should.be.instanceof(PoolError);
+          error.message.should.match(/closed/);
+
+          pool.drain(function() {
+            pool.acquire(function(error) {
+              error.message.should.match(/closed/);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
   describe('acquire()', function() {
     context('when clients are available', function() {
       it('should get a new client from pool', function(done) {
@@ -251,6 +491,200 @@ describe('Pool', function() {
         mainPool.release(results.client1, function() {});
       });
     });
+    context('when acquireTimeout is set', function() {
+      var timeoutPool;
+
+      beforeEach(function(done) {
+        Pool({
+          create: function(callback) { callback(null, {}); },
+          destroy: function(client, callback) { callback(null, true); },
+          max: 1,
+          acquireTimeout: 50
+        }, function(error, pool) {
+          timeoutPool = pool;
+          done(error);
+        });
+      });
+
+      it('should fail a waiting acquire with an AcquireTimeoutError', function(done) {
+        timeoutPool.acquire(function(error, client) {
+          should.not.exist(error);
+
+          timeoutPool.acquire(function(error, client) {
+            should.exist(error);
+            error.should.be.instanceof(AcquireTimeoutError);
+            error.should.be.instanceof(PoolError);
+            should.not.exist(client);
+            timeoutPool.waitingCount().should.equal(0);
+            done();
+          });
+
+          timeoutPool.waitingCount().should.equal(1);
+        });
+      });
+
+      it('should let the per-call timeout override the pool option', function(done) {
+        var start = Date.now();
+
+        timeoutPool.acquire(function(error, client) {
+          timeoutPool.acquire({ timeout: 10 }, function(error) {
+            error.should.be.instanceof(AcquireTimeoutError);
+            (Date.now() - start).should.be.below(50);
+            done();
+          });
+        });
+      });
+
+      it('should not time out once a client is released to the waiter', function(done) {
+        timeoutPool.acquire(function(error, client) {
+          timeoutPool.acquire(function(error, next) {
+            should.not.exist(error);
+            next.should.equal(client);
+
+            setTimeout(function() {
+              timeoutPool.activeCount().should.equal(1);
+              done();
+            }, 100);
+          });
+
+          timeoutPool.release(client);
+        });
+      });
+    });
+
+    context('when given a signal', function() {
+      var signalPool, createDelay;
+
+      beforeEach(function(done) {
+        createDelay = 0;
+
+        Pool({
+          create: function(callback) {
+            setTimeout(function() { callback(null, {}); }, createDelay);
+          },
+          destroy: function(client, callback) { callback(null, true); },
+          max: 1
+        }, function(error, pool) {
+          signalPool = pool;
+          done(error);
+        });
+      });
+
+      it('should fail at once if the signal is already aborted', function(done) {
+        var controller = new AbortController();
+        controller.abort();
+
+        signalPool.acquire({ signal: controller.signal }, function(error, client) {
+          error.should.be.instanceof(AcquireAbortedError);
+          error.should.be.instanceof(PoolError);
+          should.not.exist(client);
+          signalPool.totalCount().should.equal(0);
+          done();
+        });
+      });
+
+      it('should take an aborted acquire out of the waiting queue', function(done) {
+        var controller = new AbortController();
+
+        signalPool.acquire(function(error, client) {
+          signalPool.acquire({ signal: controller.signal }, function(error, next) {
+            error.should.be.instanceof(AcquireAbortedError);
+            should.not.exist(next);
+            signalPool.waitingCount().should.equal(0);
+
+            signalPool.release(client, function() {
+              signalPool.availableCount().should.equal(1);
+              done();
+            });
+          });
+
+          signalPool.waitingCount().should.equal(1);
+          controller.abort();
+        });
+      });
+
+      it('should put a client created after the abort back in the pool', function(done) {
+        var controller = new AbortController();
+        var calls      = 0;
+
+        createDelay = 20;
+
+        signalPool.acquire({ signal: controller.signal }, function(error, client) {
+          calls++;
+          error.should.be.instanceof(AcquireAbortedError);
+        });
+
+        controller.abort();
+
+        setTimeout(function() {
+          calls.should.equal(1);
+          signalPool.activeCount().should.equal(0);
+          signalPool.availableCount().should.equal(1);
+          done();
+        }, 50);
+      });
+
+      it('should ignore an abort once the client was handed out', function(done) {
+        var controller = new AbortController();
+
+        signalPool.acquire({ signal: controller.signal }, function(error, client) {
+          should.not.exist(error);
+          controller.abort();
+          signalPool.activeCount().should.equal(1);
+          done();
+        });
+      });
+    });
+
+    context('when the waiting queue is bounded', function() {
+      var queuePool, held;
+
+      beforeEach(function(done) {
+        Pool({
+          create: function(callback) { callback(null, {}); },
+          destroy: function(client, callback) { callback(null, true); },
+          max: 1,
+          maxWaitingClients: 2
+        }, function(error, pool) {
+          queuePool = pool;
+
+          pool.acquire(function(error, client) {
+            held = client;
+            done(error);
+          });
+        });
+      });
+
+      it('should fail acquires at once with a QueueFullError when the queue is full', function(done) {
+        queuePool.acquire(function() {});
+        queuePool.acquire(function() {});
+
+        queuePool.acquire(function(error, client) {
+          error.should.be.instanceof(QueueFullError);
+          error.should.be.instanceof(PoolError);
+          should.not.exist(client);
+          queuePool.waitingCount().should.equal(2);
+          done();
+        });
+      });
+
+      it('should serve higher priority acquires first', function(done) {
+        var order = [];
+
+        queuePool.acquire(function(error, client) {
+          order.push('background');
+          order.should.eql(['urgent', 'background']);
+          done();
+        });
+
+        queuePool.acquire({ priority: 10 }, function(error, client) {
+          order.push('urgent');
+          queuePool.release(client, function() {});
+        });
+
+        queuePool.release(held, function() {});
+      });
+    });
   });
 
   describe('release()', function() {
@@ -275,6 +709,1744 @@ describe('Pool', function() {
     });
   });
 
+  describe('validation', function() {
+    it('should replace a dead client on borrow when testOnBorrow is set', function(done) {
+      fakePool({ min: 1, testOnBorrow: true }, function(error, pool) {
+        var dead = fake.live[0];
+
+        dead.valid = false;
+
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.should.not.equal(dead);
+          client.valid.should.be.true;
+          fake.destroyed.should.equal(1);
+          fake.live.should.eql([client]);
+          pool.totalCount().should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('should replace a client whose validate throws', function(done) {
+      fakePool({ min: 1, testOnBorrow: true }, function(error, pool) {
+        var broken = fake.live[0];
+
+        pool._validate = function(client, callback) {
+          if (client === broken)
+            throw new Error('Connection reset');
+
+          callback(null, true);
+        };
+
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.should.not.equal(broken);
+          fake.destroyed.should.equal(1);
+          fake.live.should.eql([client]);
+          done();
+        });
+      });
+    });
+
+    it('should hand out a dead client when testOnBorrow is not set', function(done) {
+      fakePool({ min: 1 }, function(error, pool) {
+        var dead = fake.live[0];
+
+        dead.valid = false;
+
+        pool.acquire(function(error, client) {
+          client.should.equal(dead);
+          fake.destroyed.should.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('should destroy a dead client on release when testOnReturn is set', function(done) {
+      fakePool({ testOnReturn: true }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          client.valid = false;
+
+          pool.release(client, function(error) {
+            should.not.exist(error);
+            fake.destroyed.should.equal(1);
+            fake.live.should.eql([]);
+            pool.totalCount().should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should count clients being validated towards max', function(done) {
+      fakePool({ min: 1, max: 1, testOnBorrow: true }, function(error, pool) {
+        var validate = pool._validate;
+
+        pool._validate = function(client, callback) {
+          setImmediate(function() {
+            validate(client, callback);
+          });
+        };
+
+        async.times(2, function(n, next) {
+          pool.acquire(function(error, client) {
+            fake.created.should.equal(1);
+            pool.totalCount().should.equal(1);
+            pool.release(client, next);
+          });
+        }, done);
+
+        pool.totalCount().should.equal(1);
+        pool.waitingCount().should.equal(1);
+      });
+    });
+
+    it('should destroy a client validated on return once the pool is draining', function(done) {
+      fakePool({ testOnReturn: true }, function(error, pool) {
+        var validated;
+
+        pool._validate = function(client, callback) {
+          validated = callback;
+        };
+
+        pool.acquire(function(error, client) {
+          pool.release(client, function(error) {
+            should.not.exist(error);
+            fake.destroyed.should.equal(1);
+          });
+
+          pool.drain({ graceful: true }, function() {
+            fake.destroyed.should.equal(1);
+            fake.live.should.eql([]);
+            pool.availableCount().should.equal(0);
+            done();
+          });
+
+          validated(null, true);
+        });
+      });
+    });
+
+    it('should fail an acquire whose client is destroyed by drain() while validated', function(done) {
+      fakePool({ min: 1, testOnBorrow: true }, function(error, pool) {
+        var validated;
+
+        pool._validate = function(client, callback) {
+          validated = callback;
+        };
+
+        pool.acquire(function(error) {
+          error.should.be.instanceof(PoolError);
+          fake.destroyed.should.equal(1);
+          fake.live.should.eql([]);
+          done();
+        });
+
+        pool.drain(function() {
+          validated(null, true);
+        });
+      });
+    });
+
+    it('should destroy dead idle clients when testWhileIdle is set', function(done) {
+      fakePool({ min: 2, testWhileIdle: true, reapInterval: 20, idleTimeout: 10000 }, function(error, pool) {
+        var kept = fake.live[0];
+        var dead = fake.live[1];
+
+        dead.valid = false;
+        clock.tick(20);
+
+        setImmediate(function() {
+          fake.destroyed.should.equal(1);
+          fake.created.should.equal(3);
+          fake.live.should.not.containEql(dead);
+          pool._available.map(function(resource) { return resource.connection; }).should.eql([kept, fake.live[1]]);
+          pool.drain(done);
+        });
+      });
+    });
+
+    describe('testConnection()', function() {
+      it('should report whether a client is valid', function() {
+        var pool, first;
+
+        return fakePool({ min: 1 }).then(function(result) {
+          pool  = result;
+          first = fake.live[0];
+          return pool.testConnection();
+        }).then(function(valid) {
+          valid.should.be.true;
+          pool.availableCount().should.equal(1);
+
+          first.valid = false;
+          return pool.testConnection();
+        }).then(function(valid) {
+          valid.should.be.false;
+          fake.destroyed.should.equal(1);
+          pool._available[0].connection.should.equal(fake.live[0]);
+          fake.live[0].should.not.equal(first);
+        });
+      });
+    });
+  });
+
+  describe('create failures', function() {
+    it('should give the create error to the Pool callback', function(done) {
+      fakePool({ min: 2, fake: { failCreates: 1 } }, function(error, pool) {
+        should.exist(error);
+        error.message.should.equal('Fake create failure');
+        should.not.exist(pool);
+        done();
+      });
+    });
+
+    it('should give the create error to acquire', function(done) {
+      fakePool({ fake: { failCreates: 1 } }, function(error, pool) {
+        should.not.exist(error);
+
+        pool.acquire(function(error, client) {
+          should.exist(error);
+          error.message.should.equal('Fake create failure');
+          should.not.exist(client);
+          pool.totalCount().should.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('should retry failed creates with backoff', function() {
+      var ready = false;
+
+      fakePool({ min: 1, createRetries: 2, createBackoff: 20, fake: { failCreates: 2 } }, function(error, pool) {
+        should.not.exist(error);
+        pool.availableCount().should.equal(1);
+        ready = true;
+      });
+
+      // 20ms then 40ms
+      clock.tick(59);
+      ready.should.be.false();
+      clock.tick(1);
+      ready.should.be.true();
+    });
+
+    it('should give up once the retries are used', function(done) {
+      fakePool({ min: 1, createRetries: 2, createBackoff: 1, fake: { failCreates: 3 } }, function(error, pool) {
+        should.exist(error);
+        error.message.should.equal('Fake create failure');
+        done();
+      });
+
+      clock.tick(3);
+    });
+
+    it('should give the create error to a waiting acquire', function(done) {
+      fakePool({ max: 1 }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.acquire(function(error, client) {
+            should.exist(error);
+            error.message.should.equal('Fake create failure');
+            pool.waitingCount().should.equal(0);
+            done();
+          });
+
+          fake.failCreates = 1;
+          pool.destroy(client);
+        });
+      });
+    });
+  });
+
+  describe('events', function() {
+    var pool, failCreate, failDestroy;
+
+    beforeEach(function(done) {
+      failCreate  = false;
+      failDestroy = false;
+
+      Pool({
+        create: function(callback) {
+          if (failCreate)
+            return callback(new Error('Connection refused'));
+
+          callback(null, {});
+        },
+        destroy: function(client, callback) {
+          callback(failDestroy ? new Error('Already closed') : null);
+        },
+        max: 1,
+        idleTimeout: 10,
+        reapInterval: 20
+      }, function(error, result) {
+        pool = result;
+        done(error);
+      });
+    });
+
+    it('should be an EventEmitter', function() {
+      pool.should.be.instanceof(EventEmitter);
+    });
+
+    it('should emit create, acquire and release with the client id and timings', function(done) {
+      var events = [];
+
+      ['create', 'acquire', 'release'].forEach(function(name) {
+        pool.on(name, function(info) {
+          events.push(name);
+          info.id.should.be.a.Number();
+        });
+      });
+
+      pool.on('acquire', function(info) { info.wait.should.be.a.Number(); });
+      pool.on('release', function(info) { info.borrowed.should.be.a.Number(); });
+
+      pool.acquire(function(error, client) {
+        pool.release(client, function() {
+          events.should.eql(['create', 'acquire', 'release']);
+          done();
+        });
+      });
+    });
+
+    it('should emit createError when create fails', function(done) {
+      failCreate = true;
+
+      pool.on('createError', function(info) {
+        info.error.message.should.equal('Connection refused');
+        info.attempt.should.equal(1);
+        done();
+      });
+
+      pool.acquire(function() {});
+    });
+
+    it('should emit waiting when an acquire is queued', function(done) {
+      pool.on('waiting', function(info) {
+        info.waitingCount.should.equal(1);
+        done();
+      });
+
+      pool.acquire(function() {
+        pool.acquire(function() {});
+      });
+    });
+
+    it('should emit idleEvict and destroy when the reaper removes a client', function(done) {
+      var evicted;
+
+      pool.on('idleEvict', function(info) {
+        info.idle.should.be.aboveOrEqual(10);
+        evicted = info.id;
+      });
+
+      pool.on('destroy', function(info) {
+        info.id.should.equal(evicted);
+        done();
+      });
+
+      pool.acquire(function(error, client) {
+        pool.release(client);
+      });
+    });
+
+    it('should emit error when destroy fails', function(done) {
+      failDestroy = true;
+
+      pool.on('error', function(error) {
+        error.message.should.equal('Already closed');
+        done();
+      });
+
+      pool.acquire(function(error, client) {
+        pool.destroy(client);
+      });
+    });
+
+    it('should emit drain once drained', function(done) {
+      pool.on('drain', done);
+      pool.drain();
+    });
+  });
+
+  describe('leak detection', function() {
+    it('should emit leak once for a client held past the threshold', function(done) {
+      fakePool({ leakDetectionThreshold: 20, leakCheckInterval: 10, captureStackTrace: true }, function(error, pool) {
+        var leaks = [];
+
+        var acquired;
+
+        pool.on('leak', function(info) {
+          leaks.push(info);
+        });
+
+        pool.on('acquire', function(info) {
+          acquired = info.id;
+        });
+
+        pool.acquire(function(error, client) {
+          clock.tick(60);
+
+          leaks.length.should.equal(1);
+          leaks[0].id.should.equal(acquired);
+          leaks[0].borrowed.should.be.aboveOrEqual(20);
+          leaks[0].stack.should.match(/PoolTest\.js/);
+          pool.activeCount().should.equal(1);
+          pool.release(client, done);
+        });
+      });
+    });
+
+    it('should not record stack traces unless asked to', function(done) {
+      fakePool({ leakDetectionThreshold: 10, leakCheckInterval: 10 }, function(error, pool) {
+        pool.on('leak', function(info) {
+          should.not.exist(info.stack);
+          pool.drain(done);
+        });
+
+        pool.acquire(function() {});
+        clock.tick(10);
+      });
+    });
+
+    it('should reclaim abandoned clients and serve waiting acquires', function(done) {
+      fakePool({ max: 1, abandonedTimeout: 20, leakCheckInterval: 10 }, function(error, pool) {
+        var reclaimed, acquired;
+
+        pool.on('reclaim', function(info) {
+          reclaimed = info.id;
+        });
+
+        pool.once('acquire', function(info) {
+          acquired = info.id;
+        });
+
+        pool.acquire(function(error, abandoned) {
+          pool.acquire(function(error, client) {
+            should.not.exist(error);
+            reclaimed.should.equal(acquired);
+            client.should.not.equal(abandoned);
+            pool.totalCount().should.equal(1);
+            pool.release(client, done);
+          });
+
+          clock.tick(20);
+        });
+      });
+    });
+  });
+
+  describe('resource records', function() {
+    it('should keep the metadata of each client without touching it', function(done) {
+      fakePool({}, function(error, pool) {
+        pool.acquire(function(error, client) {
+          client.should.eql({ id: 1, valid: true });
+
+          var resource = pool._resources.get(client);
+          resource.state.should.equal('active');
+          resource.useCount.should.equal(1);
+          resource.createdAt.should.be.a.Number();
+          resource.lastBorrowedAt.should.be.a.Number();
+          should.not.exist(resource.lastReturnedAt);
+
+          pool.release(client, function() {
+            resource.state.should.equal('idle');
+            resource.lastReturnedAt.should.be.a.Number();
+            pool._available.should.eql([resource]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail a create that returns a client already in the pool', function(done) {
+      Pool({
+        create  : function(callback) { callback(null, true); },
+        destroy : function(client, callback) { callback(null, true); }
+      }, function(error, same) {
+        same.acquire(function(error, client) {
+          client.should.be.true();
+
+          same.acquire(function(error, again) {
+            error.should.be.instanceof(PoolError);
+            error.message.should.match(/already in the pool/);
+            same.totalCount().should.equal(1);
+            same._resources.size.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should retire a client on release once it reaches maxUses', function(done) {
+      fakePool({ maxUses: 2 }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            pool.acquire(function(error, again) {
+              again.should.equal(client);
+
+              pool.release(again, function() {
+                fake.destroyed.should.equal(1);
+                fake.live.should.not.containEql(client);
+                pool.totalCount().should.equal(0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should retire a client on release once it reaches maxLifetime', function(done) {
+      fakePool({ maxLifetime: 20 }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            fake.destroyed.should.equal(0);
+
+            pool.acquire(function(error, again) {
+              clock.tick(30);
+
+              pool.release(again, function() {
+                fake.destroyed.should.equal(1);
+                fake.live.should.not.containEql(client);
+                pool.totalCount().should.equal(0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should not hand out an idle client past maxLifetime', function(done) {
+      fakePool({ min: 1, maxLifetime: 20 }, function(error, pool) {
+        var old = pool._available[0].connection;
+
+        clock.tick(30);
+
+        pool.acquire(function(error, client) {
+          client.should.not.equal(old);
+          fake.destroyed.should.equal(1);
+          fake.live.should.not.containEql(old);
+          done();
+        });
+      });
+    });
+
+    describe('removeFromPool()', function() {
+      it('should remove an active client', function(done) {
+        fakePool({}, function(error, pool) {
+          pool.acquire(function(error, client) {
+            pool.removeFromPool(client, function(error) {
+              should.not.exist(error);
+              fake.destroyed.should.equal(1);
+              fake.live.should.not.containEql(client);
+              pool.totalCount().should.equal(0);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should call back FALSE for a client that is not in the pool', function(done) {
+        fakePool({}, function(error, pool) {
+          pool.removeFromPool({}, function(error, removed) {
+            should.not.exist(error);
+            removed.should.be.false();
+            done();
+          });
+        });
+      });
+
+      it('should resolve FALSE for a client that is not in the pool without a callback', function(done) {
+        fakePool({}, function(error, pool) {
+          pool.removeFromPool({}).then(function(removed) {
+            removed.should.be.false();
+            done();
+          }, done);
+        });
+      });
+    });
+  });
+
+  describe('destroy()', function() {
+    var pool, created, destroyed;
+
+    beforeEach(function(done) {
+      created   = [];
+      destroyed = [];
+
+      Pool({
+        create: function(callback) {
+          var client = { number: created.length };
+          created.push(client);
+          callback(null, client);
+        },
+        destroy: function(client, callback) { destroyed.push(client); callback(null, true); },
+        max: 1
+      }, function(error, result) {
+        pool = result;
+        done(error);
+      });
+    });
+
+    it('should destroy an active client', function(done) {
+      pool.acquire(function(error, client) {
+        pool.destroy(client, function(error) {
+          should.not.exist(error);
+          destroyed.should.eql([client]);
+          pool.totalCount().should.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('should create a replacement for a waiting acquire', function(done) {
+      pool.acquire(function(error, broken) {
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.should.not.equal(broken);
+          client.should.equal(created[1]);
+          done();
+        });
+
+        pool.destroy(broken);
+      });
+    });
+
+    it('should destroy a client released with an error', function() {
+      var broken;
+
+      return pool.acquire().then(function(client) {
+        broken = client;
+        return pool.release(client, new Error('Connection reset'));
+      }).then(function() {
+        destroyed.should.eql([broken]);
+        pool.availableCount().should.equal(0);
+        return pool.acquire();
+      }).then(function(client) {
+        client.should.not.equal(broken);
+        return pool.release(client);
+      }).then(function() {
+        return pool.acquire();
+      }).then(function(client) {
+        client.should.not.equal(broken);
+        pool.totalCount().should.equal(1);
+      });
+    });
+
+    it('should still release normally when no error is given', function(done) {
+      pool.acquire(function(error, client) {
+        pool.release(client, null, function(error) {
+          should.not.exist(error);
+          destroyed.length.should.equal(0);
+          pool.availableCount().should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('should call back FALSE for a client that was already destroyed', function(done) {
+      pool.acquire(function(error, client) {
+        pool.destroy(client, function(error, destroyed) {
+          destroyed.should.be.true();
+
+          pool.destroy(client, function(error, destroyed) {
+            should.not.exist(error);
+            destroyed.should.be.false();
+
+            pool.release(client, function(error, released) {
+              should.not.exist(error);
+              released.should.be.false();
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('idle eviction', function() {
+    var clock, fake, pool;
+
+    function setup(options, done) {
+      clock = testing.FakeClock();
+      fake  = testing.FakeResource();
+
+      Pool(Object.assign({
+        create       : fake.create,
+        destroy      : fake.destroy,
+        clock        : clock,
+        idleTimeout  : 1000,
+        reapInterval : 100
+      }, options), function(error, result) {
+        pool = result;
+        done(error);
+      });
+    }
+
+    afterEach(function(done) {
+      pool.drain(done);
+    });
+
+    // Acquires and releases n clients at once, so they are all idle
+    function idle(n, done) {
+      async.times(n, function(i, next) {
+        pool.acquire(next);
+      }, function(error, clients) {
+        async.each(clients, function(client, next) {
+          pool.release(client, next);
+        }, done);
+      });
+    }
+
+    it('should never evict below min in a single run', function(done) {
+      setup({ min: 2 }, function() {
+        idle(4, function() {
+          clock.tick(1100);
+          pool.totalCount().should.equal(2);
+          pool.availableCount().should.equal(2);
+          fake.destroyed.should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should check at most numTestsPerEvictionRun clients per run', function(done) {
+      setup({ numTestsPerEvictionRun: 1 }, function() {
+        idle(3, function() {
+          clock.tick(1000);
+          fake.destroyed.should.equal(1);
+
+          clock.tick(100);
+          fake.destroyed.should.equal(2);
+
+          clock.tick(100);
+          fake.destroyed.should.equal(3);
+          done();
+        });
+      });
+    });
+
+    it('should keep evicting once clients are returned after reaching min', function(done) {
+      setup({ min: 1 }, function() {
+        idle(2, function() {
+          clock.tick(1100);
+          pool.totalCount().should.equal(1);
+
+          idle(2, function() {
+            clock.tick(1100);
+            pool.totalCount().should.equal(1);
+            fake.destroyed.should.equal(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should evict surplus clients after softIdleTimeout and replace the rest after idleTimeout', function(done) {
+      setup({ min: 1, softIdleTimeout: 200, idleTimeout: 1000 }, function() {
+        idle(2, function() {
+          clock.tick(300);
+          pool.totalCount().should.equal(1);
+          fake.live.length.should.equal(1);
+
+          clock.tick(800);
+          pool.totalCount().should.equal(1);
+          fake.live.map(function(client) { return client.id; }).should.eql([3]);
+          done();
+        });
+      });
+    });
+
+    it('should ping idle clients kept in the pool with keepAlive', function(done) {
+      var pinged = [];
+
+      setup({
+        min               : 1,
+        keepAliveInterval : 500,
+        keepAlive         : function(client, callback) {
+          pinged.push(client.id);
+          callback(client.id === 1 ? new Error('Connection reset') : null);
+        }
+      }, function() {
+        clock.tick(500);
+
+        // The first ping fails, so it is replaced
+        pinged.should.eql([1]);
+        fake.live.map(function(client) { return client.id; }).should.eql([2]);
+
+        clock.tick(500);
+        pinged.should.eql([1, 2]);
+        pool.totalCount().should.equal(1);
+        done();
+      });
+    });
+
+    it('should replace an idle client whose keepAlive throws', function(done) {
+      setup({
+        min               : 1,
+        keepAliveInterval : 500,
+        keepAlive         : function(client, callback) {
+          if (client.id === 1)
+            throw new Error('Connection reset');
+
+          callback(null);
+        }
+      }, function() {
+        clock.tick(500);
+        fake.live.map(function(client) { return client.id; }).should.eql([2]);
+        pool.totalCount().should.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('replenishing', function() {
+    var pool, failures;
+
+    beforeEach(function(done) {
+      failures = 0;
+
+      Pool({
+        create: function(callback) {
+          if (failures > 0) {
+            failures--;
+            return callback(new Error('Connection refused'));
+          }
+
+          callback(null, {});
+        },
+        destroy: function(client, callback) { callback(null, true); },
+        min: 2,
+        max: 3,
+        createBackoff: 10
+      }, function(error, result) {
+        pool = result;
+        done(error);
+      });
+    });
+
+    it('should top the pool back up to min after a destroy', function(done) {
+      pool.acquire(function(error, client) {
+        pool.destroy(client, function() {
+          pool.totalCount().should.equal(2);
+          pool.availableCount().should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should keep trying with backoff when creates fail', function(done) {
+      failures = 2;
+
+      pool.acquire(function(error, client) {
+        pool.destroy(client, function() {
+          pool.totalCount().should.equal(1);
+
+          setTimeout(function() {
+            // Retried after 10ms and 20ms
+            pool.totalCount().should.equal(2);
+            done();
+          }, 60);
+        });
+      });
+    });
+
+    it('should not go over max', function(done) {
+      async.times(3, function(n, callback) {
+        pool.acquire(callback);
+      }, function(error, clients) {
+        pool._min = 5;
+        pool.destroy(clients[0], function() {
+          pool.totalCount().should.equal(3);
+          pool.activeCount().should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should stop once the pool is drained', function(done) {
+      pool.drain({ graceful: true }, function() {
+        setTimeout(function() {
+          pool.totalCount().should.equal(0);
+          done();
+        }, 20);
+      });
+    });
+  });
+
+  describe('strategies', function() {
+    // Acquires and releases a client 'times' times, giving the order clients were handed out in
+    function dispensed(strategy, times, callback) {
+      var count = 0;
+
+      Pool({
+        create: function(callback) { callback(null, { number: count++ }); },
+        destroy: function(client, callback) { callback(null, true); },
+        min: 3,
+        strategy: strategy
+      }, function(error, pool) {
+        if (error)
+          return callback(error);
+
+        async.timesSeries(times, function(n, next) {
+          pool.acquire(function(error, client) {
+            pool.release(client, function() {
+              next(error, client.number);
+            });
+          });
+        }, callback);
+      });
+    }
+
+    it('should use fifo by default', function(done) {
+      dispensed(undefined, 4, function(error, order) {
+        order.should.eql([0, 1, 2, 0]);
+        done(error);
+      });
+    });
+
+    it('should keep reusing the same client with lifo', function(done) {
+      dispensed('lifo', 3, function(error, order) {
+        order.should.eql([2, 2, 2]);
+        done(error);
+      });
+    });
+
+    it('should use the least recently used client with lru', function(done) {
+      dispensed('lru', 4, function(error, order) {
+        order.should.eql([0, 1, 2, 0]);
+        done(error);
+      });
+    });
+
+    it('should take turns with round-robin', function(done) {
+      dispensed('round-robin', 5, function(error, order) {
+        order.should.eql([0, 1, 2, 0, 1]);
+        done(error);
+      });
+    });
+
+    it('should use the least used client with least-used', function(done) {
+      dispensed('least-used', 4, function(error, order) {
+        order.should.eql([0, 1, 2, 0]);
+        done(error);
+      });
+    });
+
+    it('should use a custom selector function', function(done) {
+      dispensed(function(resources) {
+        resources.length.should.equal(3);
+        resources[0].state.should.equal('idle');
+        return resources[1];
+      }, 2, function(error, order) {
+        order.should.eql([1, 2]);
+        done(error);
+      });
+    });
+
+    it('should reject an unknown strategy', function(done) {
+      dispensed('random', 1, function(error) {
+        error.should.be.instanceof(PoolError);
+        error.message.should.equal("Unknown strategy 'random' in options");
+        done();
+      });
+    });
+  });
+
+  describe('resize()', function() {
+    var pool, destroyed;
+
+    beforeEach(function(done) {
+      destroyed = [];
+
+      Pool({
+        create: function(callback) { callback(null, {}); },
+        destroy: function(client, callback) { destroyed.push(client); callback(null, true); },
+        max: 2
+      }, function(error, result) {
+        pool = result;
+        done(error);
+      });
+    });
+
+    it('should serve waiting acquires when max grows', function(done) {
+      async.times(2, function(n, callback) {
+        pool.acquire(callback);
+      }, function(error, clients) {
+        var served = 0;
+
+        async.times(3, function(n, callback) {
+          pool.acquire(function(error) {
+            served++;
+            callback(error);
+          });
+        }, function(error) {
+          should.not.exist(error);
+          served.should.equal(3);
+          pool.activeCount().should.equal(5);
+          done();
+        });
+
+        pool.waitingCount().should.equal(3);
+        pool.resize({ max: 4 }, function(error) {
+          should.not.exist(error);
+          pool._max.should.equal(4);
+          served.should.equal(2);
+          pool.waitingCount().should.equal(1);
+          pool.resize({ max: null });
+        });
+      });
+    });
+
+    it('should create clients when min grows', function() {
+      return pool.resize({ min: 2 }).then(function() {
+        pool._min.should.equal(2);
+        pool.availableCount().should.equal(2);
+      });
+    });
+
+    it('should retire idle clients first when max shrinks', function(done) {
+      async.times(2, function(n, callback) {
+        pool.acquire(callback);
+      }, function(error, clients) {
+        pool.release(clients[0], function() {
+          pool.resize({ max: 1 }, function(error) {
+            should.not.exist(error);
+            destroyed.should.eql([clients[0]]);
+            pool.totalCount().should.equal(1);
+            pool.activeCount().should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should retire active clients on release when max shrinks', function(done) {
+      async.times(2, function(n, callback) {
+        pool.acquire(callback);
+      }, function(error, clients) {
+        pool.resize({ max: 1 }, function(error) {
+          // Nothing in flight is dropped
+          destroyed.length.should.equal(0);
+          pool.activeCount().should.equal(2);
+
+          pool.release(clients[0], function() {
+            destroyed.should.eql([clients[0]]);
+
+            pool.release(clients[1], function() {
+              destroyed.length.should.equal(1);
+              pool.availableCount().should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject a min above max', function(done) {
+      pool.resize({ min: 3 }, function(error) {
+        error.should.be.instanceof(PoolError);
+        pool._min.should.equal(0);
+        done();
+      });
+    });
+
+    it('should reject sizes that are not integers', function(done) {
+      pool.resize({ min: 1.5 }, function(error) {
+        error.should.be.instanceof(PoolError);
+        pool._min.should.equal(0);
+
+        pool.resize({ max: '5' }, function(error) {
+          error.should.be.instanceof(PoolError);
+          pool._max.should.equal(2);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('pending creates', function() {
+    it('should count clients being created toward max', function(done) {
+      fakePool({ max: 2, fake: { latency: 10 } }, function(error, pool) {
+        async.times(5, function(n, callback) {
+          pool.acquire(function(error, client) {
+            callback(error, client);
+            pool.release(client);
+          });
+        }, function(error, clients) {
+          should.not.exist(error);
+          fake.created.should.equal(2);
+          pool.totalCount().should.equal(2);
+          done();
+        });
+
+        pool.pendingCount().should.equal(2);
+        pool.totalCount().should.equal(2);
+        pool.waitingCount().should.equal(3);
+        pool._pending[0].state.should.equal('creating');
+
+        clock.tick(10);
+      });
+    });
+
+    it('should limit concurrent creates with maxConcurrentCreates', function(done) {
+      fakePool({ min: 4, maxConcurrentCreates: 2, fake: { latency: 10 } }, function(error, pool) {
+        should.not.exist(error);
+        fake.created.should.equal(4);
+        pool.availableCount().should.equal(4);
+        done();
+      });
+
+      // Two at a time, each taking 10ms
+      clock.tick(10);
+      fake.created.should.equal(2);
+      clock.tick(10);
+    });
+
+    it('should time out acquires waiting for a create slot', function(done) {
+      fakePool({ maxConcurrentCreates: 1, acquireTimeout: 30, fake: { hangCreates: true } }, function(error, queued) {
+        queued.acquire(function(error, client) {
+          should.not.exist(error);
+
+          // The create the timed out acquire was waiting for goes to the pool
+          setImmediate(function() {
+            fake.created.should.equal(2);
+            queued.availableCount().should.equal(1);
+            queued.activeCount().should.equal(1);
+            done();
+          });
+        });
+
+        queued.acquire(function(error) {
+          error.should.be.instanceof(AcquireTimeoutError);
+          fake.resumeHung();
+        });
+
+        clock.tick(30);
+      });
+    });
+  });
+
+  describe('circuit breaker', function() {
+    var pool, down, delay, creates, states;
+
+    beforeEach(function(done) {
+      down    = true;
+      delay   = 0;
+      creates = 0;
+      states  = [];
+
+      Pool({
+        create: function(callback) {
+          var failed = down;
+          creates++;
+
+          setTimeout(function() {
+            callback(failed ? new Error('Connection refused') : null, {});
+          }, delay);
+        },
+        destroy: function(client, callback) { callback(null, true); },
+        circuitBreakerThreshold: 2,
+        circuitBreakerTimeout: 20
+      }, function(error, result) {
+        pool = result;
+        pool.on('circuit', function(info) {
+          states.push(info.state);
+        });
+        done(error);
+      });
+    });
+
+    function failTwice(callback) {
+      pool.acquire(function() {
+        pool.acquire(function() {
+          callback();
+        });
+      });
+    }
+
+    it('should open after consecutive create failures and fail acquires immediately', function(done) {
+      failTwice(function() {
+        pool.circuitState().should.equal('open');
+        states.should.eql(['open']);
+
+        pool.acquire(function(error) {
+          error.should.be.instanceof(CircuitOpenError);
+          error.should.be.instanceof(PoolError);
+          creates.should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should let a single probe through once half-open and close on success', function(done) {
+      failTwice(function() {
+        down  = false;
+        delay = 10;
+
+        setTimeout(function() {
+          pool.acquire(function(error, client) {
+            should.not.exist(error);
+            pool.circuitState().should.equal('closed');
+            states.should.eql(['open', 'half-open', 'closed']);
+            done();
+          });
+
+          // The probe is in flight, others still fail fast
+          pool.circuitState().should.equal('half-open');
+          pool.acquire(function(error) {
+            error.should.be.instanceof(CircuitOpenError);
+            creates.should.equal(3);
+          });
+        }, 30);
+      });
+    });
+
+    it('should reopen when the probe fails', function(done) {
+      failTwice(function() {
+        setTimeout(function() {
+          pool.acquire(function(error) {
+            error.message.should.equal('Connection refused');
+            pool.circuitState().should.equal('open');
+            states.should.eql(['open', 'half-open', 'open']);
+
+            pool.acquire(function(error) {
+              error.should.be.instanceof(CircuitOpenError);
+              creates.should.equal(3);
+              done();
+            });
+          });
+        }, 30);
+      });
+    });
+
+    it('should reset the failure count after a success', function(done) {
+      pool.acquire(function() {
+        down = false;
+
+        pool.acquire(function(error, client) {
+          down = true;
+
+          pool.acquire(function() {
+            pool.circuitState().should.equal('closed');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('lifecycle hooks', function() {
+    var calls, destroyed;
+
+    function setup(hooks, done) {
+      var created = 0;
+
+      calls     = [];
+      destroyed = [];
+
+      Pool(Object.assign({
+        create  : function(callback) { callback(null, { id: ++created }); },
+        destroy : function(client, callback) {
+          destroyed.push(client.id);
+          callback(null, true);
+        }
+      }, hooks), done);
+    }
+
+    function hook(name, fail) {
+      return function(client, callback) {
+        calls.push(name + ' ' + client.id);
+        setImmediate(function() {
+          callback(fail && fail(client) ? new Error(name + ' failed') : null);
+        });
+      };
+    }
+
+    it('should run every hook in order', function(done) {
+      setup({
+        afterCreate   : hook('afterCreate'),
+        beforeAcquire : hook('beforeAcquire'),
+        afterRelease  : hook('afterRelease'),
+        beforeDestroy : hook('beforeDestroy')
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            pool.destroy(client, function() {
+              calls.should.eql(['afterCreate 1', 'beforeAcquire 1', 'afterRelease 1', 'beforeDestroy 1']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should throw away a client that fails afterCreate and retry the create', function(done) {
+      setup({
+        createRetries : 1,
+        createBackoff : 1,
+        afterCreate   : hook('afterCreate', function(client) { return client.id === 1; })
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.id.should.equal(2);
+          destroyed.should.eql([1]);
+          pool.totalCount().should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('should destroy a pooled client that fails beforeAcquire and acquire another', function(done) {
+      var broken = {};
+
+      setup({
+        beforeAcquire : hook('beforeAcquire', function(client) { return broken[client.id]; })
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            broken[client.id] = true;
+
+            pool.acquire(function(error, next) {
+              should.not.exist(error);
+              next.id.should.equal(2);
+              destroyed.should.eql([1]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should fail the acquire when a new client fails beforeAcquire', function(done) {
+      setup({
+        beforeAcquire : hook('beforeAcquire', function() { return true; })
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          error.message.should.equal('beforeAcquire failed');
+          should.not.exist(client);
+          destroyed.should.eql([1]);
+          pool.totalCount().should.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('should destroy a client that fails afterRelease instead of pooling it', function(done) {
+      setup({
+        afterRelease : hook('afterRelease', function() { return true; })
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function(error) {
+            should.not.exist(error);
+            destroyed.should.eql([1]);
+            pool.availableCount().should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should still destroy a client that fails beforeDestroy', function(done) {
+      setup({
+        beforeDestroy : hook('beforeDestroy', function() { return true; })
+      }, function(error, pool) {
+        var errors = [];
+
+        pool.on('error', function(error) {
+          errors.push(error.message);
+        });
+
+        pool.acquire(function(error, client) {
+          pool.destroy(client, function() {
+            errors.should.eql(['beforeDestroy failed']);
+            destroyed.should.eql([1]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should treat a hook that throws as a failed hook', function(done) {
+      setup({
+        max           : 1,
+        beforeAcquire : function(client, callback) {
+          if (client.id === 1)
+            throw new Error('beforeAcquire threw');
+
+          callback(null);
+        }
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          error.message.should.equal('beforeAcquire threw');
+          destroyed.should.eql([1]);
+
+          pool.acquire({ timeout: 50 }, function(error, client) {
+            should.not.exist(error);
+            client.id.should.equal(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should count clients in beforeAcquire towards max', function(done) {
+      setup({
+        max           : 1,
+        beforeAcquire : hook('beforeAcquire')
+      }, function(error, pool) {
+        async.times(2, function(n, next) {
+          pool.acquire(function(error, client) {
+            pool.totalCount().should.equal(1);
+            pool.release(client, next);
+          });
+        }, function() {
+          calls.should.eql(['beforeAcquire 1', 'beforeAcquire 1']);
+          done();
+        });
+      });
+    });
+
+    it('should destroy a client still in afterRelease once the pool is drained', function(done) {
+      setup({
+        afterRelease : hook('afterRelease')
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          var released = false;
+
+          pool.release(client, function() {
+            released = true;
+          });
+
+          pool.drain({ graceful: true }, function() {
+            released.should.be.true();
+            pool.availableCount().should.equal(0);
+            destroyed.should.eql([1]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should take hooks that return a Promise', function(done) {
+      function asyncHook(name, fail) {
+        return function(client) {
+          calls.push(name + ' ' + client.id);
+
+          return Promise.resolve().then(function() {
+            if (fail)
+              throw new Error(name + ' failed');
+          });
+        };
+      }
+
+      setup({
+        afterCreate   : asyncHook('afterCreate'),
+        afterRelease  : asyncHook('afterRelease', true)
+      }, function(error, pool) {
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+
+          pool.release(client, function() {
+            calls.should.eql(['afterCreate 1', 'afterRelease 1']);
+            destroyed.should.eql([1]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('inspect()', function() {
+    it('should describe every client and the waiting queue', function(done) {
+      var clock = testing.FakeClock(1000);
+      var fake  = testing.FakeResource({ clock: clock });
+
+      Pool({ create: fake.create, destroy: fake.destroy, clock: clock, max: 3 }, function(error, pool) {
+        pool.acquire(function(error, first) {
+          pool.acquire(function(error, second) {
+            clock.tick(100);
+            pool.release(second, function() {
+              fake.latency = 50;
+              pool.acquire(function() {});
+              pool.acquire(function() {});
+              pool.acquire(function() {});
+
+              clock.tick(20);
+
+              var info = pool.inspect();
+
+              info.id.should.equal(pool._id);
+              info.max.should.equal(3);
+              info.resources.should.eql([
+                { id: 1, state: 'active',   age: 120, idle: null, borrowed: 120,  useCount: 1 },
+                { id: 2, state: 'active',   age: 120, idle: null, borrowed: 20,   useCount: 2 },
+                { id: 3, state: 'creating', age: null, idle: null, borrowed: null, useCount: 0 }
+              ]);
+              info.waiting.should.eql({ count: 1, oldest: 20 });
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should show idle and destroying clients', function(done) {
+      var destroyed;
+
+      Pool({
+        create  : function(callback) { callback(null, {}); },
+        destroy : function(client, callback) { destroyed = callback; }
+      }, function(error, pool) {
+        async.times(2, function(n, next) {
+          pool.acquire(next);
+        }, function(error, clients) {
+          pool.release(clients[0], function() {
+            pool.destroy(clients[1]);
+
+            pool.inspect().resources.map(function(resource) {
+              return resource.state;
+            }).should.eql(['idle', 'destroying']);
+
+            destroyed();
+            pool.inspect().resources.length.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('logging', function() {
+    var records;
+
+    function logger() {
+      var logger = {};
+
+      ['debug', 'info', 'warn', 'error'].forEach(function(level) {
+        logger[level] = function(record, msg) {
+          records.push({ level: level, record: record, msg: msg });
+        };
+      });
+
+      return logger;
+    }
+
+    function options(extra) {
+      return Object.assign({
+        name    : 'logged',
+        create  : function(callback) { callback(null, {}); },
+        destroy : function(client, callback) { callback(null, true); }
+      }, extra);
+    }
+
+    beforeEach(function() {
+      records = [];
+    });
+
+    it('should write structured records to the logger', function(done) {
+      Pool(options({ logger: logger() }), function(error, pool) {
+        pool.acquire(function(error, client) {
+          var record = records.filter(function(entry) {
+            return entry.msg === 'Using new client (' + pool._resources.get(client).id + ')';
+          })[0];
+
+          record.level.should.equal('debug');
+          record.record.should.have.properties({
+            pool     : 'logged',
+            poolId   : pool._id,
+            clientId : pool._resources.get(client).id,
+            event    : 'acquire',
+            pending  : 0,
+            waiting  : 0
+          });
+          done();
+        });
+      });
+    });
+
+    it('should log idle evictions as warnings', function(done) {
+      Pool(options({ logger: logger(), idleTimeout: 10, reapInterval: 5000 }), function(error, pool) {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            setTimeout(function() {
+              pool.acquire(function(error) {
+                var evictions = records.filter(function(entry) {
+                  return entry.record.event === 'idleEvict';
+                });
+
+                evictions.length.should.equal(1);
+                evictions[0].level.should.equal('warn');
+                pool.drain(done);
+              });
+            }, 20);
+          });
+        });
+      });
+    });
+
+    it('should fail on a logger without every level', function(done) {
+      Pool(options({ logger: { info: function() {} } }), function(error) {
+        error.should.be.instanceof(PoolError);
+        error.message.should.match(/debug, warn, error/);
+        done();
+      });
+    });
+
+    it('should still print to the console with log', function(done) {
+      var log   = console.log;
+      var lines = [];
+
+      console.log = function() {
+        lines.push(Array.prototype.slice.call(arguments).join(' '));
+      };
+
+      Pool(options({ log: true }), function(error, pool) {
+        console.log = log;
+        lines[0].should.match(/^\*\*\* Pool \(\d+\) \*\*\*\*: Initiating Pool with 0 clients - Total Count: 0/);
+        done();
+      });
+    });
+  });
+
+  describe('Promise API', function() {
+    it('should resolve with a Pool object when no callback is given', function() {
+      return Pool({
+        create: function(callback) { callback(null, {}); },
+        destroy: function(client, callback) { callback(null, true); },
+        min: 1
+      }).then(function(pool) {
+        should.exist(pool);
+        should.exist(pool.acquire);
+        pool.availableCount().should.equal(1);
+      });
+    });
+
+    it('should reject when the options are invalid', function() {
+      return Pool({destroy: function(client, callback) { callback(null, true); }}).then(function() {
+        throw new Error('Should have rejected');
+      }, function(error) {
+        error.should.be.instanceof(PoolError);
+        error.message.should.equal("Must specify 'create' function in options");
+      });
+    });
+
+    it('should acquire, release and drain with Promises', function() {
+      var client;
+
+      return mainPool.drain().then(function() {
+        return mainPool.acquire();
+      }).then(function(result) {
+        client = result;
+        should.exist(client);
+        mainPool.activeCount().should.equal(1);
+        return mainPool.release(client);
+      }).then(function() {
+        mainPool.activeCount().should.equal(0);
+        mainPool.availableCount().should.equal(1);
+        return mainPool.drain();
+      }).then(function() {
+        mainPool.totalCount().should.equal(0);
+      });
+    });
+
+    it('should resolve FALSE releasing a client that is not active', function() {
+      return mainPool.release({}).then(function(released) {
+        released.should.be.false();
+      });
+    });
+
+    it('should resolve FALSE releasing a client destroyed by drain()', function() {
+      return mainPool.acquire().then(function(client) {
+        return mainPool.drain().then(function() {
+          return mainPool.release(client);
+        });
+      }).then(function(released) {
+        released.should.be.false();
+      });
+    });
+
+    it('should call back FALSE releasing a client that is not active', function(done) {
+      mainPool.release({}, function(error, released) {
+        should.not.exist(error);
+        released.should.be.false();
+        done();
+      });
+    });
+
+    it('should resolve TRUE once a client is released', function() {
+      return mainPool.acquire().then(function(client) {
+        return mainPool.release(client);
+      }).then(function(released) {
+        released.should.be.true();
+      });
+    });
+
+    it('should remove a client from the pool with a Promise', function() {
+      var client;
+
+      return mainPool.drain().then(function() {
+        return mainPool.init();
+      }).then(function() {
+        mainPool.availableCount().should.equal(2);
+        client = mainPool._available[0].connection;
+        return mainPool.removeFromPool(client);
+      }).then(function() {
+        mainPool._resources.has(client).should.be.false;
+      });
+    });
+  });
+
+  describe('use()', function() {
+    it('should release the client once the function resolves', function() {
+      return mainPool.drain().then(function() {
+        return mainPool.use(function(client) {
+          should.exist(client);
+          mainPool.activeCount().should.equal(1);
+          return Promise.resolve('result');
+        });
+      }).then(function(result) {
+        result.should.equal('result');
+        mainPool.activeCount().should.equal(0);
+        mainPool.availableCount().should.equal(1);
+      });
+    });
+
+    it('should destroy the client when the function throws', function() {
+      var destroyed = [];
+      var pool;
+
+      return Pool({
+        create: function(callback) { callback(null, {}); },
+        destroy: function(client, callback) { destroyed.push(client); callback(null, true); }
+      }).then(function(result) {
+        pool = result;
+        return pool.use(function(client) {
+          throw new PoolError('Query failed');
+        });
+      }).then(function() {
+        throw new Error('Should have rejected');
+      }, function(error) {
+        error.message.should.equal('Query failed');
+        destroyed.length.should.equal(1);
+        pool.totalCount().should.equal(0);
+      });
+    });
+
+    it('should accept a callback', function(done) {
+      mainPool.use(function(client) {
+        return 'done';
+      }, function(error, result) {
+        should.not.exist(error);
+        result.should.equal('done');
+        mainPool.activeCount().should.equal(0);
+        done();
+      });
+    });
+  });
+
   after(function(done) {
     done();
   });
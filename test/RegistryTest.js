@@ -0,0 +1,120 @@
+var should = require('should');
+var async  = require('async');
+
+// closeAll() closes every live pool, so these tests load their own copy of Pool, with a registry
+// that only holds their own pools, and leave the one other tests share as it was
+var path   = require.resolve('../lib/Pool');
+var shared = require.cache[path];
+
+delete require.cache[path];
+
+var Pool = require('../lib/Pool');
+
+if (shared)
+  require.cache[path] = shared;
+else
+  delete require.cache[path];
+
+describe('Pool registry', function() {
+  var pools;
+
+  function create(names, done) {
+    async.map(names, function(name, callback) {
+      Pool({
+        name    : name,
+        create  : function(callback) { callback(null, {}); },
+        destroy : function(client, callback) { callback(null, true); }
+      }, callback);
+    }, function(error, result) {
+      pools = result;
+      done(error);
+    });
+  }
+
+  it('should list live pools until they are closed', function(done) {
+    create(['registry-a', 'registry-b'], function() {
+      Pool.pools().should.containEql(pools[0]);
+      Pool.get('registry-b').should.equal(pools[1]);
+      should.not.exist(Pool.get('registry-nope'));
+
+      pools[0].drain({ graceful: true }, function() {
+        Pool.pools().should.eql([pools[1]]);
+
+        // A pool drained the default way is registered again once it is used
+        pools[1].drain(function() {
+          Pool.pools().should.eql([]);
+
+          pools[1].acquire(function() {
+            Pool.pools().should.eql([pools[1]]);
+            pools[1].drain(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('should not register a pool that fails to initialize', function(done) {
+    var before = Pool.pools().length;
+
+    Pool({
+      create  : function(callback) { callback(new Error('Connection refused')); },
+      destroy : function(client, callback) { callback(null, true); },
+      min     : 1
+    }, function(error) {
+      should.exist(error);
+      Pool.pools().length.should.equal(before);
+      done();
+    });
+  });
+
+  it('should gracefully close every pool with closeAll()', function(done) {
+    create(['registry-c', 'registry-d'], function() {
+      pools[0].acquire(function(error, client) {
+        Pool.closeAll(function(error) {
+          should.not.exist(error);
+          pools[0]._closed.should.be.true();
+          pools[1]._closed.should.be.true();
+          Pool.pools().should.eql([]);
+          done();
+        });
+
+        // The active client is waited for
+        pools[0]._closed.should.be.false();
+        pools[0].release(client, function() {});
+      });
+    });
+  });
+
+  it('should close every pool on a shutdown signal', function(done) {
+    // With another listener the signal isn't raised again, so the test process lives on
+    function other() {}
+
+    process.on('SIGUSR2', other);
+
+    create(['registry-e'], function() {
+      var remove = Pool.handleSignals({ signals: ['SIGUSR2'] });
+
+      process.listenerCount('SIGUSR2').should.equal(2);
+      process.emit('SIGUSR2', 'SIGUSR2');
+
+      setImmediate(function() {
+        pools[0]._closed.should.be.true();
+        process.listenerCount('SIGUSR2').should.equal(1);
+        process.removeListener('SIGUSR2', other);
+        remove();
+        done();
+      });
+    });
+  });
+
+  it('should not let the idle reaper keep the process alive', function(done) {
+    create(['registry-f'], function() {
+      pools[0].acquire(function(error, client) {
+        pools[0].release(client, function() {
+          pools[0]._idleIntHandle.hasRef().should.be.false();
+          pools[0].drain({ graceful: true }, done);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+var should              = require('should');
+var Pool                = require('../lib/Pool');
+var AcquireTimeoutError = require('../lib/AcquireTimeoutError');
+var testing             = require('../lib/testing');
+
+describe('testing', function() {
+  describe('FakeClock', function() {
+    it('should only fire timers once the clock is moved past them, in order', function() {
+      var clock = testing.FakeClock(1000);
+      var fired = [];
+
+      clock.setTimeout(function() { fired.push('b'); }, 20);
+      clock.setTimeout(function() { fired.push('a'); }, 10);
+      var cancelled = clock.setTimeout(function() { fired.push('c'); }, 15);
+
+      clock.clearTimeout(cancelled);
+      clock.tick(15);
+      fired.should.eql(['a']);
+      clock.now().should.equal(1015);
+
+      clock.tick(5);
+      fired.should.eql(['a', 'b']);
+      clock.pendingTimers().should.equal(0);
+    });
+
+    it('should fire timers set by other timers within the same tick', function() {
+      var clock = testing.FakeClock();
+      var fired = [];
+
+      clock.setTimeout(function() {
+        fired.push(clock.now());
+        clock.setTimeout(function() { fired.push(clock.now()); }, 10);
+      }, 10);
+
+      clock.tick(25);
+      fired.should.eql([10, 20]);
+    });
+  });
+
+  describe('with a pool', function() {
+    var clock, fake, pool;
+
+    function setup(options, done) {
+      clock = testing.FakeClock();
+      fake  = testing.FakeResource(Object.assign({ clock: clock }, options.fake));
+
+      Pool(Object.assign({
+        create   : fake.create,
+        destroy  : fake.destroy,
+        validate : fake.validate,
+        clock    : clock
+      }, options.pool), function(error, created) {
+        pool = created;
+        done(error);
+      });
+    }
+
+    afterEach(function(done) {
+      pool.drain(done);
+    });
+
+    it('should reap idle clients without waiting', function(done) {
+      setup({ pool: { idleTimeout: 3000, reapInterval: 1000 } }, function() {
+        pool.acquire(function(error, first) {
+          pool.acquire(function(error, second) {
+            pool.release(first);
+            pool.release(second);
+
+            clock.tick(2000);
+            pool.availableCount().should.equal(2);
+
+            clock.tick(2000);
+            pool.availableCount().should.equal(0);
+            fake.destroyed.should.equal(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should time out acquires waiting behind a hung create', function(done) {
+      setup({ pool: { max: 1, acquireTimeout: 500 }, fake: { hangCreates: true } }, function() {
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.id.should.equal(1);
+          done();
+        });
+
+        pool.acquire(function(error) {
+          error.should.be.instanceof(AcquireTimeoutError);
+          fake.hung.length.should.equal(1);
+          fake.resumeHung();
+        });
+
+        pool.pendingCount().should.equal(1);
+        clock.tick(500);
+      });
+    });
+
+    it('should retry failed creates with backoff as the clock moves', function(done) {
+      setup({ pool: { createRetries: 2, createBackoff: 100 }, fake: { failCreates: 2, latency: 10 } }, function() {
+        pool.acquire(function(error, client) {
+          should.not.exist(error);
+          client.id.should.equal(1);
+          clock.now().should.equal(330);
+          done();
+        });
+
+        clock.tick(10);
+        pool.pendingCount().should.equal(1);
+
+        // 100ms then 200ms of backoff, plus the latency of each create
+        clock.tick(320);
+      });
+    });
+
+    it('should inject validation failures', function(done) {
+      setup({ pool: { testOnBorrow: true }, fake: { failValidations: 1 } }, function() {
+        pool.acquire(function(error, client) {
+          pool.release(client, function() {
+            pool.acquire(function(error, next) {
+              next.should.not.equal(client);
+              fake.validated.should.equal(1);
+              fake.live.should.eql([next]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should inject destroy errors', function(done) {
+      setup({ pool: {}, fake: { destroyError: true } }, function() {
+        pool.on('error', function(error) {
+          error.message.should.equal('Fake destroy failure');
+          done();
+        });
+
+        pool.acquire(function(error, client) {
+          pool.destroy(client);
+        });
+      });
+    });
+  });
+});